@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const { Command } = require('commander');
+const readline = require('readline');
 const { ChangelogManager } = require('../lib');
 require('dotenv').config();
 
@@ -13,25 +14,128 @@ program
     .option('-m, --message <message>', 'Custom message to add to changelog')
     .option('-d, --dir <directory>', 'Changelog directory path', 'changelog/releases')
     .option('-f, --file <filename>', 'Draft filename', 'draft.md')
-    .option('-t, --time <timerange>', 'Git time range for commits', '1 day ago')
+    .option('-t, --time <timerange>', 'Git time range for commits (disables tag-based range)')
+    .option('--from <ref>', 'Collect commits after this ref (tag, branch or SHA)')
+    .option('--to <ref>', 'Collect commits up to this ref (default: HEAD)')
     .option('-r, --root <path>', 'Project root directory', process.cwd())
+    .option('-w, --workspace <name>', 'Only update this workspace package (monorepos)')
+    .option('-c, --category <section>', 'Section to file the new entries under (default: from the commit type)')
+    .option('--bump <level>', 'Bump level recorded on new fragments: major, minor, patch or none (fragment mode)')
+    .option('-i, --interactive', 'Review each entry before it is written: accept, edit, re-polish, recategorize or skip it')
     .option('--openai-key <key>', 'OpenAI API key (overrides env)')
     .option('--claude-key <key>', 'Claude API key (overrides env)')
     .option('--gemini-key <key>', 'Gemini API key (overrides env)')
+    .option('--ai-provider <name>', 'AI provider (openai, claude, gemini, openai-compatible or a configured module)')
+    .option('--ai-base-url <url>', 'Base URL for the AI provider API')
+    .option('--ai-model <model>', 'Model used by the AI provider')
+    .option('--no-cache', 'Ignore the cache of AI-polished messages')
     .option('--emojis', 'Enable emoji-enhanced changelog entries')
     .option('--no-emojis', 'Disable emoji-enhanced changelog entries')
+    .option('--dry-run', 'Show what would change without writing files, tagging, pushing or publishing')
     .parse();
 
 const options = program.opts();
 
+if (options.interactive && !process.stdin.isTTY) {
+    console.error('--interactive needs a terminal');
+    process.exit(1);
+}
+
+// Helper function to prompt user, optionally with editable text already typed in
+function prompt(question, initial = '') {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim());
+        });
+        if (initial) {
+            rl.write(initial);
+        }
+    });
+}
+
+// Walk through the polished entries one by one; resolves to the entries to keep, or null to cancel
+async function reviewEntries(entries, entryManager) {
+    const sections = entryManager.getSections().map(s => s.title);
+    const kept = [];
+
+    console.log(`\n🔎 Reviewing ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`);
+    for (const [index, entry] of entries.entries()) {
+        for (;;) {
+            const commit = entry.commit ? `${entry.commit.substring(0, 7)} ` : '';
+            console.log(`\n[${index + 1}/${entries.length}] ${commit}${entry.message}`);
+            console.log(`   ${entry.section} → ${entry.polished.replace(/^-\s+/, '')}`);
+
+            const answer = (await prompt('   (a)ccept, (e)dit, (r)e-polish, (c)ategory, (s)kip, (q)uit: ')).toLowerCase();
+            if (answer === 'a' || answer === '') {
+                kept.push(entry);
+                break;
+            } else if (answer === 's') {
+                break;
+            } else if (answer === 'q') {
+                return null;
+            } else if (answer === 'e') {
+                const text = await prompt('   Entry: ', entry.polished.replace(/^-\s+/, ''));
+                if (text) {
+                    entry.polished = `- ${text.replace(/^-\s+/, '')}`;
+                }
+            } else if (answer === 'r') {
+                if (!entryManager.getAIProvider()) {
+                    console.log('   No AI provider is configured, so there is nothing to re-polish with');
+                    continue;
+                }
+                const [polished] = await entryManager.polishCommitMessages([entry.message], {
+                    refresh: true,
+                    bodies: [entry.body]
+                });
+                entry.polished = polished;
+            } else if (answer === 'c') {
+                sections.forEach((title, i) => console.log(`   ${String(i + 1).padStart(2)}. ${title}`));
+                const choice = await prompt('   Section (number or name): ');
+                const section = sections[parseInt(choice, 10) - 1] || sections.find(title => title.toLowerCase() === choice.toLowerCase());
+                if (section) {
+                    entry.section = section;
+                } else if (choice) {
+                    console.log(`   Unknown section "${choice}"`);
+                }
+            } else {
+                console.log(`   Unknown choice "${answer}"`);
+            }
+        }
+    }
+
+    return kept;
+}
+
 // Create config object
 const config = {
     changelogDir: options.dir,
     draftFileName: options.file,
-    gitTimeRange: options.time,
-    projectRoot: options.root
+    projectRoot: options.root,
+    dryRun: Boolean(options.dryRun)
 };
 
+if (options.cache === false) {
+    config.cache = false;
+}
+
+// Select the commit range: explicit refs, a time range, or auto (since last tag)
+if (options.time) {
+    config.gitTimeRange = options.time;
+    config.range = 'time';
+}
+if (options.from) {
+    config.from = options.from;
+}
+if (options.to) {
+    config.to = options.to;
+}
+
 // Set AI API key if provided
 if (options.openaiKey) {
     config.aiApiKey = options.openaiKey;
@@ -44,6 +148,21 @@ if (options.openaiKey) {
     config.aiApiType = 'gemini';
 }
 
+// AI provider settings override the `ai` block of changelog.config.json
+const ai = {};
+if (options.aiProvider) {
+    ai.provider = options.aiProvider;
+}
+if (options.aiBaseUrl) {
+    ai.baseUrl = options.aiBaseUrl;
+}
+if (options.aiModel) {
+    ai.model = options.aiModel;
+}
+if (Object.keys(ai).length > 0) {
+    config.ai = ai;
+}
+
 // Set emoji preference if provided
 if (options.emojis !== undefined) {
     config.useEmojis = options.emojis;
@@ -53,7 +172,11 @@ if (options.emojis !== undefined) {
 const manager = new ChangelogManager(config);
 
 manager.addToChangelog({
-    customMessage: options.message
+    customMessage: options.message,
+    package: options.workspace,
+    category: options.category,
+    bump: options.bump,
+    review: options.interactive ? reviewEntries : undefined
 }).catch(error => {
     console.error('Error:', error.message);
     process.exit(1);
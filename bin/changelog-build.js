@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+const { Command } = require('commander');
+const path = require('path');
+const { ReleaseManager } = require('../lib');
+require('dotenv').config();
+
+const program = new Command();
+
+program
+    .name('changelog-build')
+    .description('Compile every release file into a single CHANGELOG.md')
+    .version('1.0.0')
+    .option('-d, --dir <directory>', 'Changelog directory path', 'changelog/releases')
+    .option('-r, --root <path>', 'Project root directory', process.cwd())
+    .option('-w, --workspace <name>', 'Workspace package to use (monorepos)')
+    .option('-o, --output <path>', 'Output file (default: "changelogFile" from the config, or CHANGELOG.md)')
+    .option('--config <path>', 'Path to config file')
+    .option('--dry-run', 'Show the changes to the output file without writing it')
+    .parse();
+
+const options = program.opts();
+
+// Load config file if provided
+let fileConfig = {};
+if (options.config) {
+    try {
+        const fs = require('fs');
+        const configPath = path.resolve(options.config);
+        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.error(`Could not load config file: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Create config object
+const config = {
+    changelogDir: options.dir,
+    projectRoot: options.root,
+    ...fileConfig,
+    dryRun: Boolean(options.dryRun)
+};
+
+if (options.output) {
+    config.changelogFile = options.output;
+}
+
+async function main() {
+    try {
+        let manager = new ReleaseManager(config);
+        // In a monorepo every package's changelog is built, unless one is chosen
+        if (manager.getMonorepo() && options.workspace) {
+            manager = manager.forPackage(await manager.getMonorepo().getPackage(options.workspace));
+        }
+        await manager.buildChangelog();
+
+        if (manager.workspace.dryRun) {
+            await manager.workspace.printDryRunReport();
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+const { Command } = require('commander');
+const fs = require('fs');
+const path = require('path');
+const { ChangelogManager } = require('../lib');
+
+const program = new Command();
+
+program
+    .name('changelog-cache')
+    .description('Manage the on-disk cache of AI-polished changelog entries')
+    .version('1.0.0')
+    .option('-r, --root <path>', 'Project root directory', process.cwd())
+    .option('--cache-dir <directory>', 'Cache directory (default: cacheDir from the config, else ".changelog-cache")')
+    .option('--config <path>', 'Path to config file');
+
+program
+    .command('prune')
+    .description('Remove cached entries older than a number of days')
+    .option('--older-than <days>', 'Only remove entries older than this many days', '30')
+    .action(async (commandOptions) => {
+        const days = parseInt(commandOptions.olderThan, 10);
+        if (Number.isNaN(days) || days < 0) {
+            console.error(`Invalid number of days: ${commandOptions.olderThan}`);
+            process.exit(1);
+        }
+
+        const removed = await createCache().prune(days);
+        console.log(`🧹 Removed ${removed} cached entries older than ${days} day(s)`);
+    });
+
+program
+    .command('clear')
+    .description('Remove every cached entry')
+    .action(async () => {
+        const removed = await createCache().prune(0);
+        console.log(`🧹 Removed ${removed} cached entries`);
+    });
+
+function createCache() {
+    const options = program.opts();
+
+    // Load config file if provided (changelog.config.json in the root is read anyway)
+    let fileConfig = {};
+    if (options.config) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(path.resolve(options.config), 'utf8'));
+        } catch (error) {
+            console.error(`Could not load config file: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    const config = { projectRoot: options.root, ...fileConfig };
+    if (options.cacheDir) {
+        config.cacheDir = options.cacheDir;
+    }
+    return new ChangelogManager(config).getPolishCache();
+}
+
+program.parseAsync().catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+const { Command } = require('commander');
+const fs = require('fs');
+const path = require('path');
+const { ChangelogManager, EntryCheck } = require('../lib');
+require('dotenv').config();
+
+const program = new Command();
+
+program
+    .name('changelog-check')
+    .description('Fail when a branch changes source files without adding a changelog entry')
+    .version('1.0.0')
+    .option('-b, --base <ref>', 'Base branch to compare with (default: origin/$GITHUB_BASE_REF in GitHub Actions)')
+    .option('-l, --labels <names>', 'Comma-separated labels of the pull request')
+    .option('--skip-label <name>', 'Label that waives the check (default: "skip-changelog")')
+    .option('-d, --dir <directory>', 'Changelog directory path', 'changelog/releases')
+    .option('-f, --file <filename>', 'Draft filename', 'draft.md')
+    .option('-r, --root <path>', 'Project root directory', process.cwd())
+    .option('-w, --workspace <name>', 'Only check this workspace package (monorepos)')
+    .option('--config <path>', 'Path to config file')
+    .parse();
+
+const options = program.opts();
+
+const base = options.base || (process.env.GITHUB_BASE_REF ? `origin/${process.env.GITHUB_BASE_REF}` : null);
+if (!base) {
+    console.error('Choose the branch to compare with: --base <ref> (e.g. --base origin/main)');
+    process.exit(1);
+}
+
+// Load config file if provided
+let fileConfig = {};
+if (options.config) {
+    try {
+        const configPath = path.resolve(options.config);
+        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.error(`Could not load config file: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Create config object
+const config = {
+    changelogDir: options.dir,
+    draftFileName: options.file,
+    projectRoot: options.root,
+    ...fileConfig
+};
+
+async function main() {
+    try {
+        let manager = new ChangelogManager(config);
+        if (manager.getMonorepo() && options.workspace) {
+            manager = manager.forPackage(await manager.getMonorepo().getPackage(options.workspace));
+        }
+
+        const check = new EntryCheck(manager, {
+            base,
+            labels: options.labels ? options.labels.split(',').map(label => label.trim()).filter(Boolean) : [],
+            skipLabels: options.skipLabel ? [options.skipLabel] : undefined
+        });
+
+        console.log(`🔍 Checking for changelog entries since ${base}...`);
+        const result = await check.run();
+
+        if (result.skipped) {
+            console.log(`⏭️  Skipped by ${result.skipped}`);
+            return;
+        }
+
+        for (const item of result.results) {
+            const prefix = item.package ? `📦 ${item.package}: ` : '';
+            if (item.files.length === 0) {
+                console.log(`${prefix}No changes that need an entry`);
+            } else if (item.ok) {
+                console.log(`${prefix}✅ ${item.entries.length} new entr${item.entries.length === 1 ? 'y' : 'ies'}:`);
+                item.entries.forEach(entry => console.log(`   - ${entry.text} (${entry.file})`));
+            } else {
+                console.log(`${prefix}❌ ${item.files.length} changed file(s) need a changelog entry:`);
+                item.files.forEach(file => console.log(`   ${file}`));
+            }
+        }
+
+        if (!result.ok) {
+            const skipLabel = check.options.skipLabels[0];
+            console.error(`\nAdd an entry with changelog-add, or waive the check with a "${check.options.skipTrailer}: skip" commit trailer or the "${skipLabel}" label.`);
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
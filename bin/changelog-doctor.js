@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+const { Command } = require('commander');
+const path = require('path');
+const readline = require('readline');
+const { ReleaseManager, VersionDoctor } = require('../lib');
+require('dotenv').config();
+
+const program = new Command();
+
+program
+    .name('changelog-doctor')
+    .description('Check that package.json, version files, tags, release files and the draft agree on the version')
+    .version('1.0.0')
+    .option('-d, --dir <directory>', 'Changelog directory path', 'changelog/releases')
+    .option('-f, --file <filename>', 'Draft filename', 'draft.md')
+    .option('-r, --root <path>', 'Project root directory', process.cwd())
+    .option('-p, --package <path>', 'Package.json path', 'package.json')
+    .option('--config <path>', 'Path to config file')
+    .option('-w, --workspace <name>', 'Only check this workspace package (monorepos)')
+    .option('--fix', 'Repair what can be repaired without asking')
+    .option('--dry-run', 'Show the repairs without writing any files')
+    .parse();
+
+const options = program.opts();
+
+// Helper function to prompt user
+function prompt(question) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim().toLowerCase());
+        });
+    });
+}
+
+// Load config file if provided
+let fileConfig = {};
+if (options.config) {
+    try {
+        const fs = require('fs');
+        const configPath = path.resolve(options.config);
+        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.error(`Could not load config file: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Create config object
+const config = {
+    changelogDir: options.dir,
+    draftFileName: options.file,
+    projectRoot: options.root,
+    packageJsonPath: options.package,
+    ...fileConfig,
+    dryRun: Boolean(options.dryRun)
+};
+
+async function main() {
+    try {
+        let manager = new ReleaseManager(config);
+        if (manager.getMonorepo() && options.workspace) {
+            manager = manager.forPackage(await manager.getMonorepo().getPackage(options.workspace));
+        }
+
+        console.log('🩺 Checking versions...');
+        const doctor = new VersionDoctor(manager);
+        const report = await doctor.diagnose();
+
+        let currentPackage;
+        for (const source of report.sources) {
+            if (source.package && source.package !== currentPackage) {
+                currentPackage = source.package;
+                console.log(`\n📦 ${currentPackage}`);
+            }
+            console.log(`   ${source.ok ? '✓' : '✗'} ${source.label.padEnd(28)} ${source.version || '-'}`);
+        }
+
+        if (report.problems.length === 0) {
+            console.log('\n✅ All versions agree');
+            return;
+        }
+
+        console.log(`\n⚠️  Found ${report.problems.length} problem(s):`);
+        for (const problem of report.problems) {
+            const prefix = problem.package ? `${problem.package}: ` : '';
+            console.log(`   • ${prefix}${problem.message}${problem.fix ? '' : ' (fix by hand)'}`);
+        }
+
+        const fixable = report.problems.filter(problem => problem.fix);
+        if (fixable.length === 0) {
+            process.exit(1);
+        }
+
+        if (!options.fix) {
+            const answer = process.stdin.isTTY
+                ? await prompt(`\nRepair ${fixable.length} problem(s)? (y/n): `)
+                : 'n';
+            if (answer !== 'y' && answer !== 'yes') {
+                console.log('Run changelog-doctor --fix to repair them.');
+                process.exit(1);
+            }
+        }
+
+        console.log('\n🔧 Repairing...');
+        const fixed = await doctor.fix(report);
+
+        if (manager.workspace.dryRun) {
+            await manager.workspace.printDryRunReport();
+        } else {
+            console.log(`✅ Repaired ${fixed.length} problem(s)`);
+        }
+
+        if (fixed.length < report.problems.length) {
+            console.log(`⚠️  ${report.problems.length - fixed.length} problem(s) need fixing by hand`);
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+const { Command } = require('commander');
+const fs = require('fs');
+const path = require('path');
+const { ReleaseManager, ChangelogExporter } = require('../lib');
+require('dotenv').config();
+
+const program = new Command();
+
+program
+    .name('changelog-export')
+    .description('Export the release files as JSON, an RSS/Atom feed or an HTML page')
+    .version('1.0.0')
+    .option('-f, --format <format>', `Export format (${ChangelogExporter.FORMATS.join(', ')})`, 'json')
+    .option('-o, --output <path>', 'Write to a file instead of stdout')
+    .option('-d, --dir <directory>', 'Changelog directory path', 'changelog/releases')
+    .option('-r, --root <path>', 'Project root directory', process.cwd())
+    .option('-w, --workspace <name>', 'Workspace package to use (monorepos)')
+    .option('--title <title>', 'Title of the feed or page')
+    .option('--site-url <url>', 'URL of the page the export is published on')
+    .option('--include-unreleased', 'Include entries from the draft')
+    .option('--config <path>', 'Path to config file')
+    .parse();
+
+const options = program.opts();
+
+if (!ChangelogExporter.FORMATS.includes(options.format)) {
+    console.error(`Invalid format: ${options.format}. Must be one of: ${ChangelogExporter.FORMATS.join(', ')}`);
+    process.exit(1);
+}
+
+// Load config file if provided
+let fileConfig = {};
+if (options.config) {
+    try {
+        const configPath = path.resolve(options.config);
+        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.error(`Could not load config file: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Create config object
+const config = {
+    changelogDir: options.dir,
+    projectRoot: options.root,
+    ...fileConfig
+};
+
+async function main() {
+    try {
+        let manager = new ReleaseManager(config);
+        if (manager.getMonorepo()) {
+            if (!options.workspace) {
+                console.error('This is a monorepo: choose the package to export with --workspace <name>');
+                process.exit(1);
+            }
+            manager = manager.forPackage(await manager.getMonorepo().getPackage(options.workspace));
+        }
+        const exportOptions = {};
+        if (options.title) {
+            exportOptions.title = options.title;
+        }
+        if (options.siteUrl) {
+            exportOptions.siteUrl = options.siteUrl;
+        }
+        if (options.includeUnreleased) {
+            exportOptions.includeUnreleased = true;
+        }
+
+        const output = await manager.exportChangelog(options.format, exportOptions);
+
+        if (!options.output) {
+            process.stdout.write(output);
+            return;
+        }
+
+        const outputPath = path.resolve(options.root, options.output);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, output, 'utf8');
+        console.log(`✅ Exported ${options.format} to ${path.relative(options.root, outputPath)}`);
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -4,6 +4,7 @@ const { Command } = require('commander');
 const fs = require('fs').promises;
 const path = require('path');
 const readline = require('readline');
+const { ChangelogManager } = require('../lib');
 
 const program = new Command();
 
@@ -67,19 +68,8 @@ async function init() {
             await fs.access(draftPath);
             console.log('📝 Draft file already exists, skipping...');
         } catch {
-            const draftContent = `---
-version: 0.1.0
-date: ${new Date().toISOString().split('T')[0]}
-tag: 
----
-
-# Release 0.1.0
-
-## **Unreleased**
-
-<!-- New entries will be added here -->
-
-`;
+            const manager = new ChangelogManager({ projectRoot, changelogDir: options.dir });
+            const draftContent = await manager.renderDraft('0.1.0');
             await fs.writeFile(draftPath, draftContent);
             console.log('📝 Created initial draft file');
         }
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+const { Command } = require('commander');
+const fs = require('fs');
+const path = require('path');
+const { ChangelogManager, ChangelogLinter } = require('../lib');
+require('dotenv').config();
+
+const program = new Command();
+
+program
+    .name('changelog-lint')
+    .description('Check the release files, draft and entry fragments for problems')
+    .version('1.0.0')
+    .option('-d, --dir <directory>', 'Changelog directory path', 'changelog/releases')
+    .option('-f, --file <filename>', 'Draft filename', 'draft.md')
+    .option('-r, --root <path>', 'Project root directory', process.cwd())
+    .option('-w, --workspace <name>', 'Only lint this workspace package (monorepos)')
+    .option('--format <format>', `Output format (${ChangelogLinter.FORMATS.join(', ')})`, 'human')
+    .option('--max-warnings <count>', 'Fail when there are more warnings than this', value => parseInt(value, 10))
+    .option('--config <path>', 'Path to config file')
+    .parse();
+
+const options = program.opts();
+
+if (!ChangelogLinter.FORMATS.includes(options.format)) {
+    console.error(`Invalid format: ${options.format}. Must be one of: ${ChangelogLinter.FORMATS.join(', ')}`);
+    process.exit(1);
+}
+
+if (options.maxWarnings !== undefined && !(options.maxWarnings >= 0)) {
+    console.error('Invalid --max-warnings: must be a number of 0 or more');
+    process.exit(1);
+}
+
+// Load config file if provided
+let fileConfig = {};
+if (options.config) {
+    try {
+        const configPath = path.resolve(options.config);
+        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.error(`Could not load config file: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Create config object
+const config = {
+    changelogDir: options.dir,
+    draftFileName: options.file,
+    projectRoot: options.root,
+    ...fileConfig
+};
+
+async function main() {
+    try {
+        let manager = new ChangelogManager(config);
+        if (manager.getMonorepo() && options.workspace) {
+            manager = manager.forPackage(await manager.getMonorepo().getPackage(options.workspace));
+        }
+
+        const linter = new ChangelogLinter(manager);
+        const result = await linter.lint();
+        process.stdout.write(linter.format(result, options.format));
+
+        const tooManyWarnings = options.maxWarnings !== undefined && result.warningCount > options.maxWarnings;
+        if (result.errorCount > 0 || tooManyWarnings) {
+            if (tooManyWarnings && options.format === 'human') {
+                console.error(`Too many warnings (${result.warningCount}, the maximum is ${options.maxWarnings})`);
+            }
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
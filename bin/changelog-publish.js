@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+const { Command } = require('commander');
+const path = require('path');
+const { ReleaseManager } = require('../lib');
+require('dotenv').config();
+
+const program = new Command();
+
+program
+    .name('changelog-publish')
+    .description('Publish (or re-sync) a release file to the release host')
+    .version('1.0.0')
+    .argument('<version>', 'Version to publish, e.g. 1.2.0 or v1.2.0')
+    .option('-d, --dir <directory>', 'Changelog directory path', 'changelog/releases')
+    .option('-r, --root <path>', 'Project root directory', process.cwd())
+    .option('-w, --workspace <name>', 'Workspace package to use (monorepos)')
+    .option('--github-token <token>', 'GitHub token (overrides env)')
+    .option('--github-repo <repo>', 'GitHub repository (overrides env)')
+    .option('--config <path>', 'Path to config file')
+    .option('--no-assets', 'Only sync the release notes, skip uploading assets')
+    .option('--dry-run', 'Show what would be published without calling the release host')
+    .parse();
+
+const options = program.opts();
+const version = program.args[0].replace(/^v/, '');
+
+// Load config file if provided
+let fileConfig = {};
+if (options.config) {
+    try {
+        const fs = require('fs');
+        const configPath = path.resolve(options.config);
+        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.error(`Could not load config file: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Create config object
+const config = {
+    changelogDir: options.dir,
+    projectRoot: options.root,
+    githubToken: options.githubToken || process.env.GITHUB_TOKEN,
+    githubRepository: options.githubRepo || process.env.GITHUB_REPOSITORY,
+    ...fileConfig,
+    dryRun: Boolean(options.dryRun)
+};
+
+async function main() {
+    try {
+        let manager = new ReleaseManager(config);
+        if (manager.getMonorepo()) {
+            if (!options.workspace) {
+                console.error('This is a monorepo: choose the package to publish with --workspace <name>');
+                process.exit(1);
+            }
+            manager = manager.forPackage(await manager.getMonorepo().getPackage(options.workspace));
+        }
+        const releaseFilePath = path.join(manager.changelogDir, `${version}.md`);
+
+        try {
+            await manager.workspace.access(releaseFilePath);
+        } catch {
+            console.error(`No release file found for ${version}: ${path.relative(options.root, releaseFilePath)}`);
+            process.exit(1);
+        }
+
+        const publisher = manager.getPublisher();
+        if (!publisher || !publisher.isConfigured()) {
+            console.error('Release host, token or repository not configured (see "publisher" in changelog.config.json)');
+            process.exit(1);
+        }
+
+        console.log(`📤 Publishing release ${version}...`);
+        await manager.publishRelease(version, { assets: options.assets });
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 const { Command } = require('commander');
-const { ReleaseManager, ChangelogManager } = require('../lib');
+const { ReleaseManager, ReleaseError } = require('../lib');
 const readline = require('readline');
 require('dotenv').config();
 
@@ -11,7 +11,8 @@ program
     .name('changelog-release')
     .description('Create a new release with version bump and changelog')
     .version('1.0.0')
-    .option('-t, --type <type>', 'Version bump type (major, minor, patch)', 'patch')
+    .option('-t, --type <type>', 'Version bump type (major, minor, patch, premajor, preminor, prepatch, prerelease, promote, auto)', 'patch')
+    .option('--preid <identifier>', 'Pre-release identifier for pre* bump types (e.g. rc, beta)')
     .option('-d, --dir <directory>', 'Changelog directory path', 'changelog/releases')
     .option('-f, --file <filename>', 'Draft filename', 'draft.md')
     .option('-r, --root <path>', 'Project root directory', process.cwd())
@@ -19,7 +20,11 @@ program
     .option('--github-token <token>', 'GitHub token (overrides env)')
     .option('--github-repo <repo>', 'GitHub repository (overrides env)')
     .option('--config <path>', 'Path to config file')
+    .option('-w, --workspace <names...>', 'Only release these workspace packages (and their dependents)')
     .option('--skip-pending-check', 'Skip checking for pending commits')
+    .option('-y, --yes', 'Skip the confirmation prompt for inferred releases')
+    .option('--allow-dirty', 'Allow uncommitted changes outside the changelog directory')
+    .option('--dry-run', 'Show what would change without writing files, tagging, pushing or publishing')
     .parse();
 
 const options = program.opts();
@@ -40,7 +45,7 @@ function prompt(question) {
 }
 
 // Validate bump type
-const validTypes = ['major', 'minor', 'patch'];
+const validTypes = ['major', 'minor', 'patch', 'premajor', 'preminor', 'prepatch', 'prerelease', 'promote', 'auto'];
 if (!validTypes.includes(options.type)) {
     console.error(`Invalid version type: ${options.type}. Must be one of: ${validTypes.join(', ')}`);
     process.exit(1);
@@ -68,15 +73,26 @@ const config = {
     packageJsonPath: options.package,
     githubToken: options.githubToken || process.env.GITHUB_TOKEN,
     githubRepository: options.githubRepo || process.env.GITHUB_REPOSITORY,
-    ...fileConfig
+    ...fileConfig,
+    dryRun: Boolean(options.dryRun)
 };
 
+if (options.preid) {
+    config.preid = options.preid;
+}
+if (options.allowDirty) {
+    config.allowDirty = true;
+}
+
 // Main execution function
 async function main() {
     try {
+        // Create release manager; its changelog manager shares the same (dry-run aware) workspace
+        const manager = new ReleaseManager(config);
+
         // Check for pending commits unless skipped
         if (!options.skipPendingCheck) {
-            const changelogManager = new ChangelogManager(config);
+            const changelogManager = manager.changelogManager;
             const hasPending = await changelogManager.hasPendingCommits();
             
             if (hasPending) {
@@ -93,12 +109,71 @@ async function main() {
             }
         }
         
-        // Create release manager and run
-        const manager = new ReleaseManager(config);
-        await manager.release(options.type);
+        let bumpType = options.type;
+        const releaseOptions = { packages: options.workspace };
+
+        if (bumpType === 'auto' && manager.getMonorepo()) {
+            const plan = await manager.planPackageRelease('auto', releaseOptions);
+            if (plan.length === 0) {
+                console.log('\n✅ No package has changes to release');
+                return;
+            }
+
+            console.log('\n🔍 Inferred releases:');
+            for (const item of plan) {
+                const reason = item.reason === 'dependent' ? `depends on ${item.dependsOn.join(', ')}` : `${item.bumpType} changes`;
+                console.log(`   • ${item.pkg.name} ${item.currentVersion} → ${item.newVersion} (${reason})`);
+                if (item.reason === 'dependent') {
+                    continue;
+                }
+                if (item.reasons.length === 0) {
+                    console.log('     No breaking changes, features or fixes found, defaulting to patch');
+                }
+                for (const change of item.reasons) {
+                    console.log(`     - [${change.source} ${change.ref}] ${change.description}`);
+                }
+            }
+
+            if (!options.yes) {
+                const answer = await prompt('\nProceed with these releases? (y/n): ');
+                if (answer !== 'y' && answer !== 'yes') {
+                    console.log('👋 Release cancelled.');
+                    return;
+                }
+            }
+        } else if (bumpType === 'auto') {
+            const inferred = await manager.inferBumpType();
+            const currentVersion = await manager.getCurrentVersion();
+            const newVersion = manager.bumpVersion(currentVersion, inferred.bumpType);
+            const since = inferred.latestTag ? `since ${inferred.latestTag}` : 'in the repository history';
+
+            console.log(`\n🔍 Inferred a ${inferred.bumpType} release (${currentVersion} → ${newVersion}) from changes ${since}`);
+            if (inferred.reasons.length === 0) {
+                console.log('   No breaking changes, features or fixes found, defaulting to patch');
+            } else {
+                for (const reason of inferred.reasons) {
+                    console.log(`   • [${reason.source} ${reason.ref}] ${reason.description}`);
+                }
+            }
+
+            if (!options.yes) {
+                const answer = await prompt(`\nProceed with ${inferred.bumpType} release ${newVersion}? (y/n): `);
+                if (answer !== 'y' && answer !== 'yes') {
+                    console.log('👋 Release cancelled.');
+                    return;
+                }
+            }
+
+            bumpType = inferred.bumpType;
+        }
+
+        await manager.release(bumpType, releaseOptions);
         
     } catch (error) {
-        console.error('Error:', error.message);
+        // A failed release has already printed its failure report
+        if (!(error instanceof ReleaseError)) {
+            console.error('Error:', error.message);
+        }
         process.exit(1);
     }
 }
@@ -0,0 +1,138 @@
+/**
+ * Changelog Builder - Compiles every release file into a single CHANGELOG.md
+ *
+ * The output follows Keep a Changelog (https://keepachangelog.com/): newest
+ * release first, an Unreleased section for untagged entries and compare links
+ * between tags when the release host is known. Entry markers are stripped and
+ * releases marked `yanked` in their frontmatter get a [YANKED] tag.
+ * Pre-releases are left out once their final version has been released,
+ * since its release file already rolls their notes up.
+ */
+
+const path = require('path');
+const semver = require('semver');
+
+const HEADER = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),
+and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).
+`;
+
+class ChangelogBuilder {
+    constructor(changelogManager, options = {}) {
+        this.changelogManager = changelogManager;
+        this.workspace = changelogManager.workspace;
+        this.publisher = options.publisher || null;
+
+        const config = changelogManager.config;
+        this.outputPath = path.resolve(config.projectRoot, options.output || config.changelogFile || 'CHANGELOG.md');
+    }
+
+    /**
+     * Collect the releases to include: unreleased entries first, then tagged releases
+     */
+    async getReleases() {
+        const releases = await this.changelogManager.readReleases({ includeDraft: true });
+        const finals = new Set(releases
+            .filter(release => release.released && release.version && !semver.prerelease(release.version))
+            .map(release => release.version));
+
+        const unreleased = releases.filter(release => !release.released);
+        const released = releases.filter(release => {
+            if (!release.released || !release.version) {
+                return false;
+            }
+            const parsed = semver.parse(release.version);
+            const rolledUp = parsed.prerelease.length > 0 && finals.has(`${parsed.major}.${parsed.minor}.${parsed.patch}`);
+            return !rolledUp;
+        });
+
+        // Unreleased entries from the draft and any untagged version file are merged
+        const unreleasedSections = [];
+        for (const release of unreleased) {
+            for (const section of release.sections) {
+                const existing = unreleasedSections.find(s => s.title === section.title);
+                if (existing) {
+                    existing.entries.push(...section.entries);
+                } else {
+                    unreleasedSections.push({ title: section.title, entries: [...section.entries] });
+                }
+            }
+        }
+
+        return { unreleased: unreleasedSections, released };
+    }
+
+    /**
+     * Render the changelog document
+     */
+    render({ unreleased, released }) {
+        const blocks = [HEADER];
+        const links = [];
+        const tagOf = release => release.tag || this.changelogManager.formatTag(release.version);
+        const link = (label, url) => {
+            if (url) {
+                links.push(`[${label}]: ${url}`);
+                return `[${label}]`;
+            }
+            return label;
+        };
+
+        if (unreleased.length > 0) {
+            const latestTag = released.length > 0 ? tagOf(released[0]) : null;
+            const url = latestTag && this.publisher ? this.publisher.getCompareUrl(latestTag, 'HEAD') : null;
+            blocks.push(`## ${link('Unreleased', url)}\n${this.renderSections(unreleased)}`);
+        }
+
+        released.forEach((release, index) => {
+            const previous = released[index + 1];
+            let url = null;
+            if (this.publisher) {
+                url = previous
+                    ? this.publisher.getCompareUrl(tagOf(previous), tagOf(release))
+                    : this.publisher.getTagUrl(tagOf(release));
+            }
+
+            const date = release.date ? ` - ${release.date}` : '';
+            const yanked = release.yanked ? ' [YANKED]' : '';
+            blocks.push(`## ${link(release.version, url)}${date}${yanked}\n${this.renderSections(release.sections)}`);
+        });
+
+        let output = blocks.join('\n');
+        if (links.length > 0) {
+            output += `\n${links.join('\n')}\n`;
+        }
+        return output;
+    }
+
+    /**
+     * Render a release's sections; entries without a section come first
+     */
+    renderSections(sections) {
+        const ordered = [
+            ...sections.filter(section => !section.title),
+            ...sections.filter(section => section.title)
+        ];
+
+        return ordered
+            .filter(section => section.entries.length > 0)
+            .map(section => {
+                const entries = section.entries.map(entry => `- ${entry.text}${entry.details ? `\n${entry.details}` : ''}`).join('\n');
+                return section.title ? `\n### ${section.title}\n\n${entries}\n` : `\n${entries}\n`;
+            })
+            .join('');
+    }
+
+    /**
+     * Build the changelog and write it; returns the output path
+     */
+    async build() {
+        const content = this.render(await this.getReleases());
+        await this.workspace.writeFile(this.outputPath, content);
+        return this.outputPath;
+    }
+}
+
+module.exports = ChangelogBuilder;
@@ -0,0 +1,324 @@
+/**
+ * Changelog Exporter - Machine-readable exports of the release files
+ *
+ * Parses every release file into a JSON model (versions, dates, tags,
+ * release metadata, sections, entries and source commits) and renders it as
+ * JSON, an RSS 2.0 or Atom feed, or a standalone HTML release-notes page.
+ */
+
+const FORMATS = ['json', 'rss', 'atom', 'html'];
+
+class ChangelogExporter {
+    constructor(changelogManager, options = {}) {
+        const exportConfig = changelogManager.config.export || {};
+
+        this.changelogManager = changelogManager;
+        this.publisher = options.publisher || null;
+        this.options = {
+            title: options.title || exportConfig.title,
+            siteUrl: options.siteUrl || exportConfig.siteUrl,
+            includeUnreleased: options.includeUnreleased !== undefined
+                ? options.includeUnreleased
+                : Boolean(exportConfig.includeUnreleased)
+        };
+    }
+
+    /**
+     * Build the JSON model of every release, newest first
+     */
+    async getModel() {
+        const projectName = await this.changelogManager.getProjectName();
+        const releases = await this.changelogManager.readReleases({ includeDraft: this.options.includeUnreleased });
+        const repositoryUrl = this.publisher ? this.publisher.getRepositoryUrl() : null;
+
+        return {
+            project: {
+                name: projectName,
+                title: this.options.title || `${projectName} release notes`,
+                repositoryUrl,
+                siteUrl: this.options.siteUrl || null
+            },
+            generatedAt: new Date().toISOString(),
+            releases: releases
+                .filter(release => release.released || this.options.includeUnreleased)
+                .map(release => this.toReleaseModel(release))
+        };
+    }
+
+    /**
+     * Shape a parsed release file for the model
+     */
+    toReleaseModel(release) {
+        const tag = release.tag || (release.version ? this.changelogManager.formatTag(release.version) : null);
+
+        return {
+            version: release.version,
+            date: release.date,
+            tag: release.released ? tag : null,
+            released: release.released,
+            prerelease: release.prerelease,
+            yanked: release.yanked,
+            yankedReason: release.yankedReason,
+            codename: release.codename,
+            summary: release.summary,
+            highlights: release.highlights,
+            contributors: release.contributors,
+            commitRange: release.commitRange,
+            url: release.released && this.publisher ? this.publisher.getTagUrl(tag) : null,
+            sections: release.sections.map(section => ({
+                title: section.title,
+                entries: section.entries.map(entry => ({
+                    text: entry.text,
+                    details: entry.details || '',
+                    hash: entry.hash,
+                    commit: entry.commit,
+                    commitUrl: entry.commit && this.publisher ? this.publisher.getCommitUrl(entry.commit) : null
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Export in one of the supported formats
+     */
+    async export(format = 'json') {
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown export format "${format}". Available: ${FORMATS.join(', ')}`);
+        }
+
+        const model = await this.getModel();
+        switch (format) {
+            case 'rss':
+                return this.renderRss(model);
+            case 'atom':
+                return this.renderAtom(model);
+            case 'html':
+                return this.renderHtml(model);
+            default:
+                return JSON.stringify(model, null, 2) + '\n';
+        }
+    }
+
+    /**
+     * Render an RSS 2.0 feed with one item per release
+     */
+    renderRss(model) {
+        const link = model.project.siteUrl || model.project.repositoryUrl || '';
+        const items = model.releases.map(release => {
+            const lines = [
+                '    <item>',
+                `      <title>${escapeXml(this.releaseTitle(release))}</title>`,
+                `      <guid isPermaLink="false">${escapeXml(this.releaseId(model, release))}</guid>`
+            ];
+            const releaseLink = this.releaseLink(model, release);
+            if (releaseLink) {
+                lines.push(`      <link>${escapeXml(releaseLink)}</link>`);
+            }
+            if (release.date) {
+                lines.push(`      <pubDate>${new Date(`${release.date}T00:00:00Z`).toUTCString()}</pubDate>`);
+            }
+            lines.push(`      <description>${escapeXml(this.renderReleaseHtml(release))}</description>`, '    </item>');
+            return lines.join('\n');
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(model.project.title)}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(`Release notes for ${model.project.name}`)}</description>
+    <lastBuildDate>${new Date(model.generatedAt).toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+    }
+
+    /**
+     * Render an Atom feed with one entry per release
+     */
+    renderAtom(model) {
+        const link = model.project.siteUrl || model.project.repositoryUrl;
+        const entries = model.releases.map(release => {
+            const releaseLink = this.releaseLink(model, release);
+            return [
+                '  <entry>',
+                `    <title>${escapeXml(this.releaseTitle(release))}</title>`,
+                `    <id>${escapeXml(this.releaseId(model, release))}</id>`,
+                `    <updated>${release.date ? `${release.date}T00:00:00Z` : model.generatedAt}</updated>`,
+                releaseLink ? `    <link href="${escapeXml(releaseLink)}"/>` : null,
+                `    <content type="html">${escapeXml(this.renderReleaseHtml(release))}</content>`,
+                '  </entry>'
+            ].filter(Boolean).join('\n');
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(model.project.title)}</title>
+  <id>${escapeXml(link || `urn:changelog:${model.project.name}`)}</id>
+  <updated>${model.generatedAt}</updated>
+  <author><name>${escapeXml(model.project.name)}</name></author>
+${link ? `  <link href="${escapeXml(link)}"/>\n` : ''}${entries.join('\n')}
+</feed>
+`;
+    }
+
+    /**
+     * Render a standalone HTML release-notes page
+     */
+    renderHtml(model) {
+        const releases = model.releases.map(release => {
+            const title = escapeHtml(this.releaseTitle(release));
+            const heading = release.url ? `<a href="${escapeHtml(release.url)}">${title}</a>` : title;
+            let badge = '';
+            if (!release.released) {
+                badge = ' <span class="badge">unreleased</span>';
+            } else if (release.yanked) {
+                badge = ' <span class="badge yanked">yanked</span>';
+            } else if (release.prerelease) {
+                badge = ' <span class="badge">pre-release</span>';
+            }
+            const date = release.date ? `\n      <time datetime="${escapeHtml(release.date)}">${escapeHtml(release.date)}</time>` : '';
+
+            return `    <article id="${escapeHtml(release.tag || 'unreleased')}">
+      <h2>${heading}${badge}</h2>${date}
+      ${this.renderReleaseHtml(release, true)}
+    </article>`;
+        });
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(model.project.title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; line-height: 1.5; color: #1f2328; margin: 0; }
+    main { max-width: 48rem; margin: 0 auto; padding: 2rem 1rem; }
+    article { border-bottom: 1px solid #d0d7de; padding-bottom: 1rem; margin-bottom: 1.5rem; }
+    h2 { margin-bottom: 0; }
+    time { color: #656d76; font-size: 0.9rem; }
+    h3 { font-size: 1rem; margin-bottom: 0.25rem; }
+    code { background: #f6f8fa; padding: 0.1rem 0.3rem; border-radius: 4px; }
+    .badge { font-size: 0.75rem; font-weight: normal; border: 1px solid #d0d7de; border-radius: 1rem; padding: 0.1rem 0.5rem; vertical-align: middle; }
+    .badge.yanked { color: #cf222e; border-color: #cf222e; }
+    .commit { font-size: 0.8rem; color: #656d76; }
+    .summary { font-size: 1.05rem; }
+    .contributors { color: #656d76; font-size: 0.9rem; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(model.project.title)}</h1>
+${releases.join('\n')}
+  </main>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render a release as HTML: yank notice, summary, highlights, sections and contributors
+     */
+    renderReleaseHtml(release, withCommits = false) {
+        let html = '';
+        if (release.yanked) {
+            const reason = release.yankedReason ? `: ${escapeHtml(release.yankedReason)}` : '';
+            html += `<p class="yanked"><strong>Yanked</strong>${reason}</p>`;
+        }
+        if (release.summary) {
+            html += `<p class="summary">${renderInlineMarkdown(release.summary)}</p>`;
+        }
+        if (release.highlights.length > 0) {
+            html += `<h3>Highlights</h3><ul>${release.highlights.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</ul>`;
+        }
+        html += this.renderSectionsHtml(release, withCommits);
+        if (release.contributors.length > 0) {
+            html += `<p class="contributors">Contributors: ${release.contributors.map(escapeHtml).join(', ')}</p>`;
+        }
+        return html;
+    }
+
+    /**
+     * Render a release's sections as HTML (optionally with commit links)
+     */
+    renderSectionsHtml(release, withCommits = false) {
+        return release.sections
+            .filter(section => section.entries.length > 0)
+            .map(section => {
+                const items = section.entries.map(entry => {
+                    let commit = '';
+                    if (withCommits && entry.commit) {
+                        const label = escapeHtml(entry.commit.slice(0, 7));
+                        commit = entry.commitUrl
+                            ? ` <a class="commit" href="${escapeHtml(entry.commitUrl)}">${label}</a>`
+                            : ` <span class="commit">${label}</span>`;
+                    }
+                    return `<li>${renderInlineMarkdown(entry.text)}${commit}</li>`;
+                }).join('');
+                const heading = section.title ? `<h3>${escapeHtml(section.title)}</h3>` : '';
+                return `${heading}<ul>${items}</ul>`;
+            })
+            .join('');
+    }
+
+    /**
+     * Title of a release in feeds and on the page
+     */
+    releaseTitle(release) {
+        if (!release.released) {
+            return `Unreleased${release.version ? ` (${release.version})` : ''}`;
+        }
+        const title = release.tag || release.version;
+        return release.codename ? `${title} (${release.codename})` : title;
+    }
+
+    /**
+     * Stable feed id of a release
+     */
+    releaseId(model, release) {
+        return `urn:changelog:${model.project.name}:${release.released ? release.version : 'unreleased'}`;
+    }
+
+    /**
+     * Link for a release: its page on the release host, or an anchor on the site
+     */
+    releaseLink(model, release) {
+        if (release.url) {
+            return release.url;
+        }
+        return model.project.siteUrl ? `${model.project.siteUrl.replace(/\/+$/, '')}#${release.tag || 'unreleased'}` : null;
+    }
+}
+
+/**
+ * Escape text for HTML content and attributes
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(text) {
+    return escapeHtml(text).replace(/'/g, '&apos;');
+}
+
+/**
+ * Render the inline Markdown used in entries (code, bold, links) as HTML
+ */
+function renderInlineMarkdown(text) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>');
+}
+
+ChangelogExporter.FORMATS = FORMATS;
+
+module.exports = ChangelogExporter;
@@ -0,0 +1,459 @@
+/**
+ * Changelog Linter - Checks the release files against a set of rules
+ *
+ * Every Markdown file in the changelog directory (and every pending entry
+ * fragment) is checked: file names and frontmatter versions must be valid
+ * semver, the frontmatter must parse, the open release needs its
+ * **Unreleased** heading, an entry may appear only once and every tagged
+ * release file must have its tag in git. Each rule can be set to `error`,
+ * `warn` or `off` under `lint.rules` in the config.
+ */
+
+const path = require('path');
+const { execSync } = require('child_process');
+const semver = require('semver');
+const { splitFrontmatter } = require('./frontmatter');
+
+const SEVERITIES = ['error', 'warn', 'off'];
+const FORMATS = ['human', 'json', 'github'];
+
+// Rule names and their default severity
+const RULES = {
+    'file-name': 'error',
+    'frontmatter': 'error',
+    'version': 'error',
+    'date': 'warn',
+    'unreleased-header': 'error',
+    'duplicate-entry': 'error',
+    'release-tag': 'error',
+    'stale-release': 'warn',
+    'empty-section': 'warn',
+    'entry-marker': 'off',
+    'fragment': 'error'
+};
+
+const VERSION_FILE_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?\.md$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class ChangelogLinter {
+    constructor(changelogManager, options = {}) {
+        const lintConfig = changelogManager.config.lint || {};
+
+        this.changelogManager = changelogManager;
+        this.workspace = changelogManager.workspace;
+        this.severities = ChangelogLinter.resolveRules({ ...lintConfig.rules, ...options.rules });
+    }
+
+    /**
+     * Merge rule settings over the defaults, failing on unknown rules or severities
+     */
+    static resolveRules(rules = {}) {
+        const severities = { ...RULES };
+        for (const [rule, severity] of Object.entries(rules)) {
+            if (!RULES[rule]) {
+                throw new Error(`Unknown lint rule "${rule}". Available: ${Object.keys(RULES).join(', ')}`);
+            }
+            if (!SEVERITIES.includes(severity)) {
+                throw new Error(`Invalid severity "${severity}" for lint rule "${rule}". Must be one of: ${SEVERITIES.join(', ')}`);
+            }
+            severities[rule] = severity;
+        }
+        return severities;
+    }
+
+    /**
+     * Lint the changelog, every workspace package's for a monorepo.
+     * Returns { problems: [{ file, line, rule, severity, message }], errorCount, warningCount }.
+     */
+    async lint() {
+        const problems = [];
+        const monorepo = this.changelogManager.getMonorepo();
+
+        if (monorepo) {
+            for (const pkg of await monorepo.getPackages()) {
+                const linter = new ChangelogLinter(this.changelogManager.forPackage(pkg));
+                linter.severities = this.severities;
+                problems.push(...await linter.lintProject());
+            }
+        } else {
+            problems.push(...await this.lintProject());
+        }
+
+        return {
+            problems,
+            errorCount: problems.filter(p => p.severity === 'error').length,
+            warningCount: problems.filter(p => p.severity === 'warn').length
+        };
+    }
+
+    /**
+     * Lint the release files and fragments of a single project (or workspace package)
+     */
+    async lintProject() {
+        this.problems = [];
+        this.seenEntries = new Map();
+
+        const changelogDir = this.changelogManager.changelogDir;
+        let files;
+        try {
+            files = (await this.workspace.readdir(changelogDir)).filter(f => f.endsWith('.md')).sort();
+        } catch {
+            // No changelog directory, so nothing to lint
+            return this.problems;
+        }
+
+        const draftFileName = this.changelogManager.config.draftFileName;
+        const tags = this.listTags();
+        const releases = [];
+
+        for (const file of files) {
+            const filePath = path.join(changelogDir, file);
+            if (file !== draftFileName && !VERSION_FILE_PATTERN.test(file)) {
+                this.report('file-name', filePath, 0,
+                    `"${file}" is not a valid release file name (expected <version>.md or ${draftFileName})`);
+                continue;
+            }
+
+            const content = await this.workspace.readFile(filePath, 'utf8');
+            const release = {
+                file,
+                path: filePath,
+                version: file === draftFileName ? null : file.replace(/\.md$/, ''),
+                content,
+                frontmatter: this.lintFrontmatter(filePath, content)
+            };
+            releases.push(release);
+        }
+
+        // The draft first, then the highest version, as detectOpenReleaseFile looks for them
+        const rank = release => (!release.version ? 0 : semver.valid(release.version) ? 1 : 2);
+        releases.sort((a, b) => rank(a) - rank(b) ||
+            (rank(a) === 1 ? semver.rcompare(a.version, b.version) : a.file.localeCompare(b.file)));
+
+        const openRelease = this.getOpenRelease(releases);
+        for (const release of releases) {
+            this.lintVersion(release, tags, openRelease);
+            this.lintEntries(release, release === openRelease);
+        }
+
+        if (this.changelogManager.isFragmentMode()) {
+            await this.lintFragments();
+        }
+
+        return this.problems;
+    }
+
+    /**
+     * Check that the frontmatter exists and parses. Returns it, or null when it doesn't.
+     */
+    lintFrontmatter(filePath, content) {
+        if (splitFrontmatter(content).block === null) {
+            this.report('frontmatter', filePath, 1, 'Missing frontmatter block');
+            return null;
+        }
+
+        try {
+            return this.changelogManager.parseFrontmatter(content);
+        } catch (error) {
+            this.report('frontmatter', filePath, 1, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Find the open release: the draft, else the highest untagged release file
+     */
+    getOpenRelease(releases) {
+        const draft = releases.find(release => !release.version);
+        if (draft) {
+            return draft;
+        }
+        const highest = releases[0];
+        return highest && highest.frontmatter && !highest.frontmatter.tag ? highest : null;
+    }
+
+    /**
+     * Check the version, date and tag of a release file
+     */
+    lintVersion(release, tags, openRelease) {
+        const { frontmatter } = release;
+        if (!frontmatter) {
+            return;
+        }
+
+        const versionLine = this.findLine(release.content, /^version\s*:/);
+        if (!release.version) {
+            if (!frontmatter.version) {
+                this.report('version', release.path, 1, 'The draft has no version');
+            } else if (!semver.valid(frontmatter.version)) {
+                this.report('version', release.path, versionLine, `"${frontmatter.version}" is not a valid version`);
+            }
+            return;
+        }
+
+        if (!semver.valid(release.version)) {
+            this.report('version', release.path, 0, `"${release.version}" is not a valid version`);
+        } else if (frontmatter.version && frontmatter.version !== release.version) {
+            this.report('version', release.path, versionLine,
+                `Frontmatter version ${frontmatter.version} does not match the file name`);
+        }
+
+        if (!frontmatter.tag) {
+            if (release !== openRelease) {
+                this.report('stale-release', release.path, 1,
+                    `${release.file} has no tag, but it isn't the open release`);
+            }
+            return;
+        }
+
+        if (!frontmatter.date || !DATE_PATTERN.test(frontmatter.date)) {
+            this.report('date', release.path, this.findLine(release.content, /^date\s*:/) || 1,
+                frontmatter.date ? `"${frontmatter.date}" is not a YYYY-MM-DD date` : 'Released file has no date');
+        }
+
+        const tagLine = this.findLine(release.content, /^tag\s*:/);
+        const expectedTag = this.changelogManager.formatTag(release.version);
+        if (frontmatter.tag !== expectedTag) {
+            this.report('release-tag', release.path, tagLine, `Tag ${frontmatter.tag} does not match the version (expected ${expectedTag})`);
+        } else if (tags && !tags.has(frontmatter.tag)) {
+            this.report('release-tag', release.path, tagLine, `Tag ${frontmatter.tag} does not exist in git`);
+        }
+    }
+
+    /**
+     * Check the headings and entries of a release file
+     */
+    lintEntries(release, isOpen) {
+        const { block, body } = splitFrontmatter(release.content);
+        const offset = block ? block.split('\n').length - 1 : 0;
+        const lines = body.split('\n');
+
+        if (isOpen && !lines.some(line => line.includes('**Unreleased**'))) {
+            this.report('unreleased-header', release.path, offset + 1, 'The open release has no **Unreleased** heading');
+        }
+
+        let section = null;
+        const closeSection = () => {
+            if (section && section.entries === 0) {
+                this.report('empty-section', release.path, section.line, `Section "${section.title}" has no entries`);
+            }
+            section = null;
+        };
+
+        lines.forEach((line, i) => {
+            const lineNumber = offset + i + 1;
+            if (line.startsWith('### ')) {
+                closeSection();
+                section = { title: line.slice(4).trim(), line: lineNumber, entries: 0 };
+            } else if (line.startsWith('#')) {
+                closeSection();
+            } else if (line.trim().startsWith('- ')) {
+                if (section) {
+                    section.entries++;
+                }
+                const marker = this.changelogManager.parseEntryMarker(line);
+                if (marker) {
+                    this.checkDuplicate(marker, { release, line: lineNumber });
+                } else {
+                    this.report('entry-marker', release.path, lineNumber, 'Entry has no hash marker, so it can be added again');
+                }
+            }
+        });
+        closeSection();
+    }
+
+    /**
+     * Report an entry whose commit (or message hash) was already seen.
+     * The notes of a pre-release are rolled up into its final release, so those repeats are fine.
+     */
+    checkDuplicate(marker, location) {
+        const key = marker.commit ? `commit:${marker.commit}` : `hash:${marker.hash}`;
+        const previous = this.seenEntries.get(key);
+        if (!previous) {
+            this.seenEntries.set(key, location);
+            return;
+        }
+
+        if (previous.release && location.release && this.isRolledUp(previous.release, location.release)) {
+            return;
+        }
+
+        const what = marker.commit ? `commit ${marker.commit.slice(0, 7)}` : `message hash ${marker.hash}`;
+        const where = `${path.relative(this.changelogManager.config.projectRoot, previous.path || previous.release.path)}:${previous.line}`;
+        const filePath = location.path || location.release.path;
+        this.report('duplicate-entry', filePath, location.line, `Duplicate entry for ${what} (also in ${where})`);
+    }
+
+    /**
+     * Check whether one release file is a pre-release of the other
+     */
+    isRolledUp(a, b) {
+        const finalOf = release => {
+            const parsed = release.version ? semver.parse(release.version) : null;
+            if (!parsed) {
+                return release.frontmatter && release.frontmatter.version;
+            }
+            return parsed.prerelease.length > 0 ? `${parsed.major}.${parsed.minor}.${parsed.patch}` : release.version;
+        };
+        const isPre = release => Boolean(release.version && semver.prerelease(release.version));
+        return (isPre(a) || isPre(b)) && finalOf(a) === finalOf(b);
+    }
+
+    /**
+     * Check every pending fragment
+     */
+    async lintFragments() {
+        const store = this.changelogManager.getFragmentStore();
+        let files;
+        try {
+            files = (await this.workspace.readdir(store.dir)).filter(f => f.endsWith('.md')).sort();
+        } catch {
+            // No fragments directory yet
+            return;
+        }
+
+        const sections = this.changelogManager.getSections().map(s => s.title);
+        for (const file of files) {
+            const filePath = path.join(store.dir, file);
+            let fragment;
+            try {
+                fragment = await store.read(filePath);
+            } catch (error) {
+                this.report('fragment', filePath, 1, error.message.replace(`${file}: `, ''));
+                continue;
+            }
+
+            if (fragment.category && !sections.includes(fragment.category)) {
+                this.report('fragment', filePath, 1, `Unknown section "${fragment.category}". Available: ${sections.join(', ')}`);
+            }
+
+            const hash = this.changelogManager.createMessageHash(fragment.message || fragment.text);
+            this.checkDuplicate({ hash, commit: fragment.commit }, { path: filePath, line: 1 });
+        }
+    }
+
+    /**
+     * List the release tags in git. Returns null outside a git repository and
+     * when the repository has no tags at all, as in a CI checkout that didn't
+     * fetch them, so missing tags aren't reported there.
+     */
+    listTags() {
+        let tags;
+        try {
+            const output = execSync('git tag -l', {
+                encoding: 'utf8',
+                cwd: this.changelogManager.config.projectRoot,
+                stdio: 'pipe'
+            });
+            tags = output.split('\n').map(tag => tag.trim()).filter(Boolean);
+        } catch {
+            return null;
+        }
+
+        if (tags.length === 0) {
+            return null;
+        }
+
+        const prefix = this.changelogManager.getTagPrefix();
+        return new Set(tags.filter(tag => tag.startsWith(prefix)));
+    }
+
+    /**
+     * Find the 1-based number of the first frontmatter line matching a pattern (0 when none does)
+     */
+    findLine(content, pattern) {
+        const { block } = splitFrontmatter(content);
+        const lines = (block || '').split('\n');
+        const index = lines.findIndex(line => pattern.test(line));
+        return index === -1 ? 0 : index + 1;
+    }
+
+    /**
+     * Record a problem unless its rule is turned off
+     */
+    report(rule, filePath, line, message) {
+        const severity = this.severities[rule];
+        if (severity === 'off') {
+            return;
+        }
+        this.problems.push({
+            file: path.relative(this.changelogManager.config.projectRoot, filePath),
+            line,
+            rule,
+            severity,
+            message
+        });
+    }
+
+    /**
+     * Render a lint result in one of the FORMATS
+     */
+    format(result, format = 'human') {
+        switch (format) {
+            case 'json':
+                return `${JSON.stringify(result, null, 2)}\n`;
+            case 'github':
+                return this.formatGithub(result);
+            case 'human':
+                return this.formatHuman(result);
+            default:
+                throw new Error(`Unknown lint format "${format}". Available: ${FORMATS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Render problems grouped by file, with a summary line
+     */
+    formatHuman(result) {
+        if (result.problems.length === 0) {
+            return '✅ No problems found\n';
+        }
+
+        const byFile = new Map();
+        for (const problem of result.problems) {
+            if (!byFile.has(problem.file)) {
+                byFile.set(problem.file, []);
+            }
+            byFile.get(problem.file).push(problem);
+        }
+
+        const lines = [];
+        for (const [file, problems] of byFile) {
+            lines.push(file);
+            for (const problem of problems) {
+                const location = String(problem.line || '-').padStart(4);
+                const severity = (problem.severity === 'warn' ? 'warning' : 'error').padEnd(7);
+                lines.push(`  ${location}  ${severity}  ${problem.message}  ${problem.rule}`);
+            }
+            lines.push('');
+        }
+
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        lines.push(`${result.errorCount > 0 ? '❌' : '⚠️ '} ${plural(result.problems.length, 'problem')} ` +
+            `(${plural(result.errorCount, 'error')}, ${plural(result.warningCount, 'warning')})`);
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Render problems as GitHub Actions workflow commands, which annotate the PR diff
+     */
+    formatGithub(result) {
+        const escapeData = value => String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+        const escapeProperty = value => escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+        return result.problems.map(problem => {
+            const properties = [`file=${escapeProperty(problem.file)}`];
+            if (problem.line) {
+                properties.push(`line=${problem.line}`);
+            }
+            properties.push(`title=${escapeProperty(`changelog-lint (${problem.rule})`)}`);
+            const command = problem.severity === 'warn' ? 'warning' : 'error';
+            return `::${command} ${properties.join(',')}::${escapeData(problem.message)}\n`;
+        }).join('');
+    }
+}
+
+ChangelogLinter.RULES = RULES;
+ChangelogLinter.FORMATS = FORMATS;
+
+module.exports = ChangelogLinter;
@@ -3,17 +3,54 @@
  * 
  * This library provides the core functionality for managing changelogs:
  * - Detects the open release file (highest unreleased version or draft.md)
+ * - Parses Conventional Commits and groups entries into configurable sections
+ * - Collects commits since the last release tag (or a time range / explicit refs)
  * - Appends new commit messages under **Unreleased** section
- * - Uses OpenAI/Claude/Gemini API to polish commit messages (with fallback)
- * - Guards against duplicate commit entries using hash check
+ * - Uses a pluggable AI provider (OpenAI, Claude, Gemini or any OpenAI-compatible
+ *   endpoint) to polish commit messages (with fallback)
+ * - Redacts secrets and internal identifiers before anything is sent to the AI
+ * - Caches polished messages on disk so commits are only sent to the AI once
+ * - Guards against duplicate entries by commit SHA across every release file
  * - Supports custom messages
+ * - In a workspaces monorepo, keeps a release directory and draft per package
+ *   and attributes commits to packages by the paths they touch
+ * - In fragment mode, writes one file per entry instead of editing the draft
  */
 
 const fs = require('fs').promises;
 const path = require('path');
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
 const crypto = require('crypto');
 const semver = require('semver');
+const CommitParser = require('./CommitParser');
+const Workspace = require('./Workspace');
+const { createProvider } = require('./providers');
+const PolishCache = require('./PolishCache');
+const Redactor = require('./Redactor');
+const TemplateEngine = require('./TemplateEngine');
+const Monorepo = require('./Monorepo');
+const FragmentStore = require('./FragmentStore');
+const { splitFrontmatter, parseFrontmatter, formatFrontmatter, updateFrontmatter } = require('./frontmatter');
+
+// Default changelog sections, in the order they appear in release files
+const DEFAULT_SECTIONS = [
+    { title: 'Breaking Changes', breaking: true },
+    { title: 'Features', types: ['feat'] },
+    { title: 'Bug Fixes', types: ['fix'] },
+    { title: 'Performance', types: ['perf'] },
+    { title: 'Refactoring', types: ['refactor'] },
+    { title: 'Documentation', types: ['docs'] },
+    { title: 'Styles', types: ['style'] },
+    { title: 'Tests', types: ['test'] },
+    { title: 'Build System', types: ['build'] },
+    { title: 'Continuous Integration', types: ['ci'] },
+    { title: 'Chores', types: ['chore'] },
+    { title: 'Reverts', types: ['revert'] },
+    { title: 'Other Changes', default: true }
+];
+
+// Commits sent to the AI per request, so a reply fits within the provider's token limit
+const DEFAULT_POLISH_BATCH_SIZE = 10;
 
 class ChangelogManager {
     constructor(config = {}) {
@@ -34,15 +71,105 @@ class ChangelogManager {
             aiApiKey: config.aiApiKey || process.env.OPENAI_API_KEY || process.env.CLAUDE_API_KEY || process.env.GEMINI_API_KEY,
             aiApiType: config.aiApiType || (process.env.OPENAI_API_KEY ? 'openai' : process.env.CLAUDE_API_KEY ? 'claude' : 'gemini'),
             gitTimeRange: config.gitTimeRange || fileConfig.gitTimeRange || '1 day ago',
+            range: config.range || fileConfig.range || 'auto',
             projectRoot: projectRoot,
+            releaseCommitMessage: config.releaseCommitMessage || fileConfig.releaseCommitMessage || 'Release {{version}}',
             useEmojis: config.useEmojis !== undefined ? config.useEmojis : (fileConfig.useEmojis !== undefined ? fileConfig.useEmojis : true),
             ...fileConfig,
-            ...config // CLI/direct config overrides file config
+            ...config, // CLI/direct config overrides file config
+            ai: { ...fileConfig.ai, ...config.ai }
         };
         
         this.processedHashes = new Set();
+        this.commitParser = new CommitParser();
+        this.templateEngine = new TemplateEngine();
+        this.workspace = new Workspace({ dryRun: this.config.dryRun, root: this.config.projectRoot });
         this.changelogDir = path.resolve(this.config.projectRoot, this.config.changelogDir);
         this.draftFile = path.join(this.changelogDir, this.config.draftFileName);
+
+        // Fragment mode: `fragments.dir` is relative to the release directory
+        const fragments = typeof this.config.fragments === 'object' && this.config.fragments !== null ? this.config.fragments : {};
+        this.fragmentsDir = path.resolve(this.changelogDir, fragments.dir || 'unreleased');
+
+        // Commits left out of the changelog on purpose, one SHA per line
+        this.skipFile = path.join(this.changelogDir, 'skipped-commits.txt');
+    }
+
+    /**
+     * Check whether entries are written as fragments instead of into the draft
+     */
+    isFragmentMode() {
+        const fragments = this.config.fragments;
+        return Boolean(fragments) && fragments.enabled !== false;
+    }
+
+    /**
+     * Get the store of entry fragments
+     */
+    getFragmentStore() {
+        if (!this.fragmentStore) {
+            this.fragmentStore = new FragmentStore(this.fragmentsDir, this.workspace);
+        }
+        return this.fragmentStore;
+    }
+
+    /**
+     * Read the pending entry fragments
+     */
+    async readFragments() {
+        return this.getFragmentStore().list();
+    }
+
+    /**
+     * Get the workspaces monorepo, or null when `workspaces` isn't configured
+     */
+    getMonorepo() {
+        if (this.monorepo === undefined) {
+            this.monorepo = Monorepo.isEnabled(this.config) ? new Monorepo(this.config, this.workspace) : null;
+        }
+        return this.monorepo;
+    }
+
+    /**
+     * Get a changelog manager for one workspace package. It shares this
+     * manager's workspace (so dry runs see every change) and AI provider.
+     */
+    forPackage(pkg) {
+        const manager = new ChangelogManager({ ...this.config, ...this.getPackageConfig(pkg) });
+        manager.workspace = this.workspace;
+        manager.aiProvider = this.getAIProvider();
+        return manager;
+    }
+
+    /**
+     * Get the config overrides that scope a manager to one workspace package
+     */
+    getPackageConfig(pkg) {
+        return {
+            workspaces: false,
+            changelogDir: pkg.changelogDir,
+            tagPrefix: pkg.tagPrefix,
+            paths: [pkg.relativeDir],
+            projectName: pkg.name,
+            package: { name: pkg.name, dir: pkg.dir, relativeDir: pkg.relativeDir }
+        };
+    }
+
+    /**
+     * Get all release files (including pre-releases), highest version first
+     */
+    async getReleaseFiles() {
+        const files = await this.workspace.readdir(this.changelogDir);
+        const versionFiles = files.filter(f => f.match(/^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?\.md$/));
+
+        const versions = versionFiles.map(f => {
+            const version = f.replace(/\.md$/, '');
+            return { version, file: f, semver: semver.parse(version) };
+        }).filter(v => v.semver !== null);
+
+        versions.sort((a, b) => semver.rcompare(a.version, b.version));
+
+        return versions;
     }
 
     /**
@@ -50,22 +177,8 @@ class ChangelogManager {
      */
     async getHighestVersion() {
         try {
-            const files = await fs.readdir(this.changelogDir);
-            const versionFiles = files.filter(f => f.match(/^\d+\.\d+\.\d+\.md$/));
-            
-            if (versionFiles.length === 0) {
-                return null;
-            }
-
-            // Sort versions to get the highest
-            const versions = versionFiles.map(f => {
-                const version = f.replace('.md', '');
-                return { version, file: f, semver: semver.parse(version) };
-            }).filter(v => v.semver !== null);
-
-            versions.sort((a, b) => semver.rcompare(a.version, b.version));
-            
-            return versions[0];
+            const versions = await this.getReleaseFiles();
+            return versions.length > 0 ? versions[0] : null;
         } catch (error) {
             console.error('Error reading changelog directory:', error.message);
             return null;
@@ -77,11 +190,25 @@ class ChangelogManager {
      */
     async detectOpenReleaseFile() {
         // Ensure changelog directory exists
-        await fs.mkdir(this.changelogDir, { recursive: true });
+        await this.workspace.mkdir(this.changelogDir);
+
+        return this.findOpenReleaseFile();
+    }
+
+    /**
+     * Find the open release file like detectOpenReleaseFile, without creating
+     * the changelog directory
+     */
+    async findOpenReleaseFile() {
+        try {
+            await this.workspace.access(this.changelogDir);
+        } catch {
+            return this.draftFile;
+        }
 
         // Check if draft.md exists
         try {
-            await fs.access(this.draftFile);
+            await this.workspace.access(this.draftFile);
             return this.draftFile;
         } catch {
             // draft.md doesn't exist, check for highest version
@@ -93,7 +220,7 @@ class ChangelogManager {
             
             // Check if this version is already "released" (has a tag or is marked as released)
             try {
-                const content = await fs.readFile(versionFile, 'utf8');
+                const content = await this.workspace.readFile(versionFile, 'utf8');
                 const frontmatter = this.parseFrontmatter(content);
                 
                 // If no tag exists, consider it unreleased
@@ -110,31 +237,39 @@ class ChangelogManager {
     }
 
     /**
-     * Parse frontmatter from markdown file
+     * Parse the YAML frontmatter of a release file into an object
      */
     parseFrontmatter(content) {
-        const lines = content.split('\n');
-        const frontmatter = {};
-        
-        if (lines[0] === '---') {
-            for (let i = 1; i < lines.length; i++) {
-                if (lines[i] === '---') {
-                    break;
-                }
-                const [key, ...valueParts] = lines[i].split(':');
-                if (key && valueParts.length > 0) {
-                    frontmatter[key.trim()] = valueParts.join(':').trim();
-                }
-            }
-        }
-        
-        return frontmatter;
+        return parseFrontmatter(content);
+    }
+
+    /**
+     * Set a single frontmatter value, adding the key if it isn't there yet
+     */
+    setFrontmatterValue(content, key, value) {
+        return updateFrontmatter(content, { [key]: value });
+    }
+
+    /**
+     * Set several frontmatter values at once, keeping every other key
+     */
+    updateFrontmatter(content, values) {
+        return updateFrontmatter(content, values);
     }
 
     /**
      * Check if there are pending commits not yet added to changelog
      */
     async hasPendingCommits() {
+        if (this.getMonorepo()) {
+            for (const pkg of await this.getMonorepo().getPackages()) {
+                if (await this.forPackage(pkg).hasPendingCommits()) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
         try {
             const commits = await this.getNewCommits();
             if (commits.length === 0) {
@@ -142,16 +277,8 @@ class ChangelogManager {
             }
 
             // Check if any commits are not in the changelog yet
-            const releaseFile = await this.detectOpenReleaseFile();
-            
-            for (const commit of commits) {
-                const messageHash = this.createMessageHash(commit.message);
-                if (!await this.isMessageAlreadyInChangelog(releaseFile, messageHash)) {
-                    return true;
-                }
-            }
-            
-            return false;
+            const index = await this.loadEntryIndex();
+            return commits.some(commit => !this.isEntryInChangelog(index, commit));
         } catch (error) {
             console.error('Error checking pending commits:', error.message);
             return false;
@@ -163,29 +290,8 @@ class ChangelogManager {
      */
     async getNewCommits() {
         try {
-            // Get commits since last changelog update
-            const result = execSync(
-                `git log --pretty=format:"%H|%s" --since="${this.config.gitTimeRange}"`,
-                { encoding: 'utf8', cwd: this.config.projectRoot }
-            ).trim();
-
-            if (!result) {
-                return [];
-            }
-
-            const commits = result.split('\n').map(line => {
-                const [hash, message] = line.split('|');
-                return { hash, message };
-            });
-
-            // Filter out changelog update commits and merge commits
-            return commits.filter(commit => {
-                const msg = commit.message.toLowerCase();
-                return !msg.includes('updated changelog') && 
-                       !msg.includes('merge pull request') &&
-                       !msg.includes('merge branch') &&
-                       !msg.startsWith('merge ');
-            });
+            const range = await this.resolveCommitRange();
+            return this.readCommits(range.args);
         } catch (error) {
             console.error('Error getting git commits:', error.message);
             return [];
@@ -193,340 +299,1398 @@ class ChangelogManager {
     }
 
     /**
-     * Create hash for commit message to prevent duplicates
+     * Work out which commits to scan. Explicit --from/--to refs win, then the
+     * commit recorded in the open release file, then the latest release tag,
+     * and finally the configured time range. Returns { args, description },
+     * where `args` are the git log arguments selecting the commits.
      */
-    createMessageHash(message) {
-        return crypto.createHash('sha256').update(message).digest('hex').substring(0, 8);
+    async resolveCommitRange() {
+        const to = this.resolveRef(this.config.to || 'HEAD');
+        const toName = this.config.to || 'HEAD';
+
+        if (this.config.from) {
+            return { args: [`${this.resolveRef(this.config.from)}..${to}`], description: `${this.config.from}..${toName}` };
+        }
+
+        if (this.config.range !== 'time') {
+            const releaseFile = await this.detectOpenReleaseFile();
+            let lastCommit = null;
+            try {
+                lastCommit = this.parseFrontmatter(await this.workspace.readFile(releaseFile, 'utf8')).lastCommit;
+            } catch {
+                // Release file doesn't exist yet
+            }
+
+            if (lastCommit && this.isAncestor(lastCommit, to)) {
+                return { args: [`${this.resolveRef(lastCommit)}..${to}`], description: `since ${lastCommit.substring(0, 7)} (last recorded commit)` };
+            }
+
+            const latestTag = this.getLatestTag();
+            if (latestTag) {
+                return { args: [`${this.resolveRef(latestTag)}..${to}`], description: `since ${latestTag}` };
+            }
+        }
+
+        const since = `--since=${this.config.gitTimeRange}`;
+        return { args: this.config.to ? [since, to] : [since], description: `since ${this.config.gitTimeRange}` };
     }
 
     /**
-     * Check if commit message is already in changelog
+     * Check whether a commit exists and is an ancestor of the given ref
      */
-    async isMessageAlreadyInChangelog(releaseFile, messageHash) {
+    isAncestor(commit, ref = 'HEAD') {
         try {
-            const content = await fs.readFile(releaseFile, 'utf8');
-            return content.includes(`<!-- hash:${messageHash} -->`);
+            execFileSync('git', ['merge-base', '--is-ancestor', String(commit), ref], { cwd: this.config.projectRoot, stdio: 'pipe' });
+            return true;
         } catch {
             return false;
         }
     }
 
     /**
-     * Polish commit messages using AI API
+     * Resolve a git ref to its full commit SHA. The ref is passed to git as a
+     * single argument, never through the shell, and must name a commit.
      */
-    async polishCommitMessages(messages) {
-        if (!this.config.aiApiKey || messages.length === 0) {
-            // Fallback to raw messages
-            return messages.map(msg => `- ${msg}`);
+    resolveRef(ref) {
+        let sha = '';
+        if (!String(ref).startsWith('-')) {
+            try {
+                sha = execFileSync('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], {
+                    encoding: 'utf8',
+                    cwd: this.config.projectRoot,
+                    stdio: 'pipe'
+                }).trim();
+            } catch {
+                // Not a commit
+            }
         }
 
-        try {
-            let prompt;
-            
-            if (this.config.useEmojis) {
-                prompt = `Please transform these commit messages into polished, engaging changelog entries with emojis and professional tone. Each should be a clear, concise bullet point that describes what was changed or added for users.
-
-Commit messages:
-${messages.join('\n')}
-
-Format each entry as:
-- [emoji] [Action verb] [description]
-
-Use relevant emojis like:
-🐛 for bug fixes
-✨ for new features  
-🔧 for configuration/tooling
-📝 for documentation
-🎨 for UI/styling
-⚡ for performance
-🔒 for security
-🚀 for deployments
-♻️ for refactoring
-🏗️ for architecture changes
-📊 for data/analytics
-🌐 for web/network
-💾 for database
-🛡️ for security/protection
-🔄 for updates/sync
-📱 for mobile
-🖥️ for desktop
-🎯 for targeting/focus
-🔍 for search
-📈 for improvements
-⚙️ for settings/config
-
-Return only the polished bullet points, one per line, starting with "- ".`;
-            } else {
-                prompt = `Please rephrase these commit messages into polished, professional changelog entries. Each should be a clear, concise bullet point describing what was changed or added:
+        if (!sha) {
+            throw new Error(`Unknown git ref "${ref}": it must name a commit`);
+        }
+        return sha;
+    }
 
-${messages.join('\n')}
+    /**
+     * Get commits since a tag (or the whole history when no tag is given)
+     */
+    async getCommitsSinceTag(tag) {
+        try {
+            return this.readCommits([tag ? `${tag}..HEAD` : 'HEAD']);
+        } catch (error) {
+            console.error('Error getting git commits:', error.message);
+            return [];
+        }
+    }
 
-Return only the polished bullet points, one per line, starting with "- ".`;
-            }
+    /**
+     * Get the prefix of release tags: `v`, or `name@` for a workspace package
+     */
+    getTagPrefix() {
+        return this.config.tagPrefix || 'v';
+    }
 
-            let polishedMessages;
-            
-            if (this.config.aiApiType === 'openai') {
-                polishedMessages = await this.callOpenAI(prompt);
-            } else if (this.config.aiApiType === 'claude') {
-                polishedMessages = await this.callClaude(prompt);
-            } else {
-                polishedMessages = await this.callGemini(prompt);
-            }
+    /**
+     * Get the release tag of a version
+     */
+    formatTag(version) {
+        return `${this.getTagPrefix()}${version}`;
+    }
 
-            return polishedMessages.split('\n').filter(line => line.trim().startsWith('- '));
-        } catch (error) {
-            console.warn('AI API failed, using raw messages:', error.message);
-            // Fallback to raw messages
-            return messages.map(msg => `- ${msg}`);
+    /**
+     * Get the most recent release tag reachable from HEAD
+     */
+    getLatestTag() {
+        try {
+            return execFileSync('git', ['describe', '--tags', '--abbrev=0', '--match', `${this.getTagPrefix()}*`], {
+                encoding: 'utf8',
+                cwd: this.config.projectRoot,
+                stdio: 'pipe'
+            }).trim() || null;
+        } catch {
+            // No matching tag
+            return null;
         }
     }
 
     /**
-     * Call OpenAI API
+     * Run git log with the given range arguments (a list, passed to git
+     * without going through the shell) and parse the commits
      */
-    async callOpenAI(prompt) {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${this.config.aiApiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: 'gpt-3.5-turbo',
-                messages: [
-                    { role: 'system', content: 'You are a helpful assistant that writes clear, professional changelog entries.' },
-                    { role: 'user', content: prompt }
-                ],
-                max_tokens: 500
-            })
+    readCommits(rangeArgs) {
+        // A workspace package only sees the commits that touch its files
+        const paths = this.config.paths || [];
+        const pathspec = paths.length > 0 ? ['--', ...paths] : [];
+
+        // Fields are separated by \x1f and records by \x1e so bodies can span lines
+        const result = execFileSync(
+            'git',
+            ['log', '--pretty=format:%H%x1f%cI%x1f%s%x1f%b%x1e', ...rangeArgs, ...pathspec],
+            { encoding: 'utf8', cwd: this.config.projectRoot, stdio: 'pipe' }
+        ).trim();
+
+        if (!result) {
+            return [];
+        }
+
+        const commits = result.split('\x1e').filter(record => record.trim()).map(record => {
+            const [hash, date, message, body = ''] = record.replace(/^\n/, '').split('\x1f');
+            return { hash, date, message, body: body.trim() };
         });
 
-        const data = await response.json();
-        return data.choices[0].message.content;
+        // Filter out release commits, changelog update commits and merge commits
+        return commits.filter(commit => {
+            const msg = commit.message.toLowerCase();
+            return !this.isReleaseCommit(commit.message) &&
+                   !msg.includes('updated changelog') && 
+                   !msg.includes('merge pull request') &&
+                   !msg.includes('merge branch') &&
+                   !msg.startsWith('merge ');
+        });
     }
 
     /**
-     * Call Claude API
+     * Parse a commit message as a Conventional Commit
      */
-    async callClaude(prompt) {
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${this.config.aiApiKey}`,
-                'Content-Type': 'application/json',
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-3-haiku-20240307',
-                max_tokens: 500,
-                messages: [
-                    { role: 'user', content: prompt }
-                ]
-            })
-        });
+    parseCommit(message, body = '') {
+        return this.commitParser.parse(message, body);
+    }
 
-        const data = await response.json();
-        return data.content[0].text;
+    /**
+     * Get the configured changelog sections
+     */
+    getSections() {
+        return Array.isArray(this.config.sections) && this.config.sections.length > 0
+            ? this.config.sections
+            : DEFAULT_SECTIONS;
     }
 
     /**
-     * Call Google Gemini API
+     * Find the section title a parsed commit belongs to
      */
-    async callGemini(prompt) {
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${this.config.aiApiKey}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{
-                        text: prompt
-                    }]
-                }],
-                generationConfig: {
-                    maxOutputTokens: 500,
-                    temperature: 0.7
-                }
-            })
-        });
+    getSectionForCommit(parsed) {
+        const sections = this.getSections();
+
+        const section = (parsed.breaking && sections.find(s => s.breaking)) ||
+            sections.find(s => parsed.type && (s.types || []).includes(parsed.type)) ||
+            sections.find(s => s.default) ||
+            sections[sections.length - 1];
 
-        const data = await response.json();
-        return data.candidates[0].content.parts[0].text;
+        return section.title;
     }
 
     /**
-     * Get next version number
+     * Get the bump level a parsed commit asks for, or null when it doesn't affect the version
      */
-    async getNextVersion(bumpType = 'patch') {
-        const highestVersion = await this.getHighestVersion();
-        let nextVersion = '0.1.0';
-        
-        if (highestVersion) {
-            nextVersion = semver.inc(highestVersion.version, bumpType);
+    getBumpForCommit(parsed) {
+        if (parsed.breaking) {
+            return 'major';
         }
-        
-        return nextVersion;
+        if (parsed.type === 'feat') {
+            return 'minor';
+        }
+        return parsed.type === 'fix' ? 'patch' : null;
     }
 
     /**
-     * Create new unreleased file if it doesn't exist
+     * Format the fallback changelog text for a parsed commit
      */
-    async createUnreleasedFile(filePath) {
-        const now = new Date();
-        const dateStr = now.toISOString().split('T')[0];
-        
-        // Get next version number
-        const nextVersion = await this.getNextVersion();
-
-        const content = `---
-version: ${nextVersion}
-date: ${dateStr}
-tag: 
----
-
-# Release ${nextVersion}
-
-## **Unreleased**
+    formatCommitDescription(parsed) {
+        if (!parsed.conventional) {
+            return parsed.header;
+        }
+        return parsed.scope ? `**${parsed.scope}:** ${parsed.description}` : parsed.description;
+    }
 
-<!-- New entries will be added here -->
+    /**
+     * Create hash for commit message to prevent duplicates
+     */
+    createMessageHash(message) {
+        return crypto.createHash('sha256').update(message).digest('hex').substring(0, 8);
+    }
 
-`;
+    /**
+     * Parse the hidden marker at the end of a changelog entry line
+     */
+    parseEntryMarker(line) {
+        const match = line.match(/<!-- hash:(\w+)(?: commit:([0-9a-f]+))? -->/);
+        return match ? { hash: match[1], commit: match[2] || null } : null;
+    }
 
-        await fs.writeFile(filePath, content, 'utf8');
-        console.log(`Created new unreleased file: ${filePath}`);
-        return filePath;
+    /**
+     * Format the hidden marker recording an entry's message hash and source commit
+     */
+    formatEntryMarker(entry) {
+        const hash = this.createMessageHash(entry.message);
+        return entry.commit ? `<!-- hash:${hash} commit:${entry.commit} -->` : `<!-- hash:${hash} -->`;
     }
 
     /**
-     * Update changelog file with new entries
+     * Index the entries of every release file in the changelog directory and
+     * of every pending fragment. Entries that record their source commit are
+     * indexed by SHA; older entries that only carry a message hash are indexed
+     * by that hash. Commits skipped during an interactive review are indexed too.
      */
-    async updateChangelogFile(filePath, newEntries) {
+    async loadEntryIndex() {
+        const index = { commits: new Set(), hashes: new Set(), skipped: await this.readSkippedCommits() };
+
+        let files = [];
         try {
-            let content;
-            
-            // Check if file exists
-            try {
-                content = await fs.readFile(filePath, 'utf8');
-            } catch {
-                // File doesn't exist, create it
-                await this.createUnreleasedFile(filePath);
-                content = await fs.readFile(filePath, 'utf8');
-            }
+            files = (await this.workspace.readdir(this.changelogDir)).filter(f => f.endsWith('.md'));
+        } catch {
+            return index;
+        }
 
-            // Find the **Unreleased** section
-            const lines = content.split('\n');
-            let unreleasedIndex = -1;
-            
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].includes('**Unreleased**')) {
-                    unreleasedIndex = i;
-                    break;
+        for (const file of files) {
+            const content = await this.workspace.readFile(path.join(this.changelogDir, file), 'utf8');
+            for (const line of content.split('\n')) {
+                const marker = this.parseEntryMarker(line);
+                if (!marker) {
+                    continue;
                 }
-            }
-
-            if (unreleasedIndex === -1) {
-                // Add **Unreleased** section if it doesn't exist
-                const insertIndex = lines.findIndex(line => line.startsWith('# Release'));
-                if (insertIndex !== -1) {
-                    lines.splice(insertIndex + 1, 0, '', '## **Unreleased**', '');
-                    unreleasedIndex = insertIndex + 2;
+                if (marker.commit) {
+                    index.commits.add(marker.commit);
                 } else {
-                    // Append to end of file
-                    lines.push('', '## **Unreleased**', '');
-                    unreleasedIndex = lines.length - 1;
+                    index.hashes.add(marker.hash);
                 }
             }
+        }
 
-            // Insert new entries after **Unreleased**
-            const insertIndex = unreleasedIndex + 1;
-            const newLines = [];
-            
-            for (const entry of newEntries) {
-                const hash = this.createMessageHash(entry.message);
-                newLines.push(`${entry.polished} <!-- hash:${hash} -->`);
+        // Fragments waiting for the next release count as entries too
+        for (const fragment of await this.readFragments()) {
+            if (fragment.commit) {
+                index.commits.add(fragment.commit);
+            } else {
+                index.hashes.add(this.createMessageHash(fragment.message || fragment.text));
             }
+        }
 
-            lines.splice(insertIndex, 0, ...newLines);
+        return index;
+    }
 
-            await fs.writeFile(filePath, lines.join('\n'), 'utf8');
-            console.log(`Updated changelog: ${filePath}`);
-            console.log(`Added ${newEntries.length} new entries`);
-        } catch (error) {
-            console.error('Error updating changelog file:', error.message);
-            throw error;
+    /**
+     * Check if a commit (or custom message) already has an entry in any release
+     * file, or was skipped on purpose
+     */
+    isEntryInChangelog(index, { hash, message }) {
+        if (hash && (index.commits.has(hash) || (index.skipped && index.skipped.has(hash)))) {
+            return true;
         }
+        return index.hashes.has(this.createMessageHash(message));
     }
 
     /**
-     * Add entries to changelog
+     * Read the SHAs of the commits skipped during an interactive review
      */
-    async addToChangelog(options = {}) {
+    async readSkippedCommits() {
+        let content;
         try {
-            console.log('🚀 Starting changelog update...');
-            
-            // Detect the open release file
-            const releaseFile = await this.detectOpenReleaseFile();
-            console.log(`📝 Using release file: ${releaseFile}`);
+            content = await this.workspace.readFile(this.skipFile, 'utf8');
+        } catch {
+            return new Set();
+        }
 
-            // Get new commits or use custom message
-            let newEntries = [];
-            
-            if (options.customMessage) {
-                const messageHash = this.createMessageHash(options.customMessage);
-                
-                // Check if message already exists
-                if (await this.isMessageAlreadyInChangelog(releaseFile, messageHash)) {
-                    console.log('⚠️  Message already exists in changelog, skipping...');
-                    return;
-                }
-                
-                const polished = await this.polishCommitMessages([options.customMessage]);
-                newEntries = [{
-                    message: options.customMessage,
-                    polished: polished[0] || `- ${options.customMessage}`
-                }];
-            } else {
-                const commits = await this.getNewCommits();
-                console.log(`📋 Found ${commits.length} recent commits`);
-
-                // Filter out commits that are already in the changelog
-                const filteredCommits = [];
-                for (const commit of commits) {
-                    const messageHash = this.createMessageHash(commit.message);
-                    if (!await this.isMessageAlreadyInChangelog(releaseFile, messageHash)) {
-                        filteredCommits.push(commit);
-                    }
-                }
+        return new Set(content.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => line.split(/\s+/)[0]));
+    }
 
-                console.log(`📋 ${filteredCommits.length} new commits to add`);
+    /**
+     * Remember commits that should never be offered for the changelog again.
+     * Each line is the SHA followed by the subject, so the file reads well in a diff.
+     */
+    async recordSkippedCommits(commits) {
+        if (commits.length === 0) {
+            return;
+        }
 
-                if (filteredCommits.length === 0) {
-                    console.log('✅ No new commits to add to changelog');
-                    return;
-                }
+        let content;
+        try {
+            content = await this.workspace.readFile(this.skipFile, 'utf8');
+        } catch {
+            await this.workspace.mkdir(this.changelogDir);
+            content = '# Commits left out of the changelog on purpose (changelog-add --interactive)\n';
+        }
 
-                // Polish the commit messages
-                const messages = filteredCommits.map(c => c.message);
-                const polished = await this.polishCommitMessages(messages);
-                
-                newEntries = filteredCommits.map((commit, index) => ({
-                    message: commit.message,
-                    polished: polished[index] || `- ${commit.message}`
-                }));
-            }
+        const lines = commits.map(commit => `${commit.hash} ${commit.message}`);
+        await this.workspace.writeFile(this.skipFile, `${content.replace(/\n*$/, '\n')}${lines.join('\n')}\n`);
+        console.log(`Remembered ${commits.length} skipped commit(s) in ${path.relative(this.config.projectRoot, this.skipFile)}`);
+    }
 
-            // Update the changelog file
-            await this.updateChangelogFile(releaseFile, newEntries);
-            
-            console.log('✅ Changelog updated successfully!');
-            
-        } catch (error) {
-            console.error('❌ Error:', error.message);
-            throw error;
-        }
+    /**
+     * Check if a message is a release commit created by ReleaseManager
+     * (a monorepo release lists several `name@version` tags)
+     */
+    isReleaseCommit(message) {
+        const version = '(?:\\S+@)?v?\\d+\\.\\d+\\.\\d+(?:-[0-9A-Za-z.-]+)?';
+        const escaped = this.config.releaseCommitMessage
+            .split('{{version}}')
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join(`${version}(?:, ${version})*`);
+        return new RegExp(`^${escaped}$`).test(message.trim());
+    }
+
+    /**
+     * Format raw commit messages as changelog bullets without AI polishing
+     */
+    formatRawMessages(messages, bodies = []) {
+        return messages.map((msg, index) => `- ${this.formatCommitDescription(this.parseCommit(msg, bodies[index]))}`);
+    }
+
+    /**
+     * Polish commit messages using AI API.
+     * Returns one bullet per message, in the same order as the input. Each
+     * message is sent with an id and the model must answer with JSON keyed by
+     * those ids, so a merged, dropped or reordered bullet can never end up
+     * attached to the wrong commit. `options.bodies` holds the commit bodies,
+     * whose footers (e.g. BREAKING CHANGE) pick the section prompt, and
+     * `options.refresh` asks the AI again instead of reusing cached entries.
+     * Large sections are sent in batches of `ai.batchSize` commits.
+     */
+    async polishCommitMessages(messages, options = {}) {
+        const provider = this.getAIProvider();
+
+        if (!provider || messages.length === 0) {
+            // Fallback to raw messages
+            return this.formatRawMessages(messages, options.bodies);
+        }
+
+        const bodies = options.bodies || [];
+        const items = messages.map((message, index) => ({
+            id: `c${index + 1}`,
+            message,
+            body: bodies[index] || '',
+            section: this.getSectionForCommit(this.parseCommit(message, bodies[index]))
+        }));
+        const polished = new Map();
+        const context = await this.getPromptContext();
+
+        // Reuse anything polished before with the same provider, model and prompt template
+        const cache = this.getPolishCache();
+        const providerName = typeof provider.describe === 'function' ? provider.describe() : this.getAIProviderName();
+        const model = provider.model || (this.config.ai || {}).model || null;
+        const cacheKeys = new Map();
+
+        for (const item of items) {
+            item.template = await this.loadPromptTemplate(item.section);
+            cacheKeys.set(item.id, cache.key({ provider: providerName, model, template: item.template, message: item.message }));
+
+            const cached = options.refresh ? null : await cache.get(cacheKeys.get(item.id));
+            if (cached) {
+                polished.set(item.id, cached);
+            }
+        }
+
+        if (polished.size > 0) {
+            console.log(`♻️  Reused ${polished.size} cached AI entries`);
+        }
+
+        // Each section is polished with its own template
+        const groups = new Map();
+        for (const item of items.filter(item => !polished.has(item.id))) {
+            if (!groups.has(item.section)) {
+                groups.set(item.section, []);
+            }
+            groups.get(item.section).push(item);
+        }
+
+        const batchSize = this.getPolishBatchSize();
+        const batches = [];
+        for (const [section, uncached] of groups) {
+            for (let start = 0; start < uncached.length; start += batchSize) {
+                batches.push({ section, items: uncached.slice(start, start + batchSize) });
+            }
+        }
+
+        for (const { section, items: batch } of batches) {
+            const template = batch[0].template;
+            const sectionContext = { ...context, section };
+
+            try {
+                for (const [id, text] of await this.requestPolishedEntries(provider, batch, template, sectionContext)) {
+                    polished.set(id, text);
+                }
+
+                // Ask once more for anything the model missed, answered ambiguously
+                // or lost in a reply that couldn't be read (e.g. cut off at the token limit)
+                const missing = batch.filter(item => !polished.has(item.id));
+                if (missing.length > 0) {
+                    console.warn(`AI response was missing ${missing.length} entries, re-requesting them...`);
+                    for (const [id, text] of await this.requestPolishedEntries(provider, missing, template, sectionContext)) {
+                        polished.set(id, text);
+                    }
+                }
+            } catch (error) {
+                console.warn('AI API failed, using raw messages:', error.message);
+            }
+
+            for (const item of batch.filter(item => polished.has(item.id))) {
+                await cache.set(cacheKeys.get(item.id), polished.get(item.id), {
+                    provider: providerName,
+                    message: item.message
+                });
+            }
+        }
+
+        const unpolished = items.filter(item => !polished.has(item.id));
+        if (unpolished.length > 0) {
+            console.warn(`Using raw messages for ${unpolished.length} entries the AI didn't return`);
+        }
+
+        return items.map(item => (polished.has(item.id)
+            ? `- ${polished.get(item.id)}`
+            : this.formatRawMessages([item.message], [item.body])[0]));
+    }
+
+    /**
+     * Get how many commits are sent to the AI per request (`ai.batchSize`)
+     */
+    getPolishBatchSize() {
+        const batchSize = parseInt((this.config.ai || {}).batchSize, 10);
+        return batchSize > 0 ? batchSize : DEFAULT_POLISH_BATCH_SIZE;
+    }
+
+    /**
+     * Load the prompt template for a section. Templates are files named in
+     * `prompts.sections` (per section) or `prompts.default` in the config;
+     * without one, the built-in emoji or plain template is used.
+     */
+    async loadPromptTemplate(section) {
+        const prompts = this.config.prompts || {};
+        const configured = (prompts.sections || {})[section] || prompts.default;
+        const templatePath = configured
+            ? path.resolve(this.config.projectRoot, configured)
+            : path.join(__dirname, '..', 'templates', 'prompts', this.config.useEmojis ? 'emoji.md' : 'default.md');
+
+        if (!this.promptTemplates) {
+            this.promptTemplates = new Map();
+        }
+
+        if (!this.promptTemplates.has(templatePath)) {
+            try {
+                this.promptTemplates.set(templatePath, await this.workspace.readFile(templatePath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Could not read prompt template ${configured || templatePath}: ${error.message}`);
+            }
+        }
+
+        return this.promptTemplates.get(templatePath);
+    }
+
+    /**
+     * Get the project name: `projectName` from the config, the package.json
+     * name, or the project directory name
+     */
+    async getProjectName() {
+        if (this.config.projectName) {
+            return this.config.projectName;
+        }
+        try {
+            const packageJson = JSON.parse(await this.workspace.readFile(path.join(this.config.projectRoot, 'package.json'), 'utf8'));
+            if (packageJson.name) {
+                return packageJson.name;
+            }
+        } catch {
+            // No package.json
+        }
+        return path.basename(path.resolve(this.config.projectRoot));
+    }
+
+    /**
+     * Get the variables available to every prompt template
+     */
+    async getPromptContext() {
+        const projectName = await this.getProjectName();
+
+        let version = '';
+        try {
+            const releaseFile = await this.detectOpenReleaseFile();
+            version = this.parseFrontmatter(await this.workspace.readFile(releaseFile, 'utf8')).version || '';
+        } catch {
+            // No open release file yet
+        }
+
+        return { projectName, version };
+    }
+
+    /**
+     * Replace {{variable}} placeholders in a prompt template
+     */
+    renderPromptTemplate(template, variables) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+            (variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : ''));
+    }
+
+    /**
+     * Build the prompt asking the model to polish the given commits.
+     * The JSON response format is always appended so entries can be matched to commits,
+     * and so is the commit list when the template has no {{commits}} placeholder.
+     */
+    buildPolishPrompt(items, template, context = {}) {
+        const commits = items.map(item => `${item.id}: ${item.message}`).join('\n');
+        let prompt = this.renderPromptTemplate(template, { ...context, commits }).trim();
+        if (!/\{\{\s*commits\s*\}\}/.test(template)) {
+            prompt += `\n\nCommits:\n${commits}`;
+        }
+
+        return `${prompt}
+
+Respond with only a JSON object, no other text, in this exact shape:
+{"entries": [{"id": "c1", "text": "polished entry"}]}
+
+Return exactly one entry for every id above, using the same ids. Never merge, split or skip commits.
+The "text" value must not start with "- ".`;
+    }
+
+    /**
+     * Send commits to the provider and return a map of id -> polished text,
+     * keeping only ids that were requested and answered exactly once
+     */
+    async requestPolishedEntries(provider, items, template, context) {
+        // Nothing leaves the machine without going through redaction first
+        const redactor = this.createRedactor();
+        let prompt = this.buildPolishPrompt(items, template, context);
+
+        if (redactor) {
+            prompt = redactor.redact(prompt);
+            if (redactor.redactions.length > 0) {
+                prompt += '\nPlaceholders such as [[R1]] stand for redacted values: copy them into the text exactly as written.';
+                await this.auditRedactions(redactor);
+            }
+        }
+
+        const response = await provider.complete(prompt);
+
+        // An unreadable reply answers nothing, so its commits are re-requested like missing ones
+        let parsed;
+        try {
+            parsed = this.parsePolishResponse(response);
+        } catch (error) {
+            console.warn(`Could not read the AI response: ${error.message}`);
+            return new Map();
+        }
+
+        const entries = parsed.map(entry => ({
+            ...entry,
+            text: redactor ? redactor.restore(entry.text) : entry.text
+        }));
+
+        const requested = new Set(items.map(item => item.id));
+        const counts = new Map();
+        for (const entry of entries) {
+            counts.set(entry.id, (counts.get(entry.id) || 0) + 1);
+        }
+
+        const results = new Map();
+        for (const entry of entries) {
+            if (requested.has(entry.id) && counts.get(entry.id) === 1) {
+                results.set(entry.id, entry.text);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Create a redactor from the `redaction` config, or null when it's disabled
+     */
+    createRedactor() {
+        const redaction = this.config.redaction || {};
+        if (redaction.enabled === false) {
+            return null;
+        }
+        return new Redactor({ builtIn: redaction.builtIn, rules: redaction.rules });
+    }
+
+    /**
+     * Get the path of the redaction audit log (in the cache directory by default)
+     */
+    getAuditLogPath() {
+        const redaction = this.config.redaction || {};
+        return redaction.auditLog
+            ? path.resolve(this.config.projectRoot, redaction.auditLog)
+            : path.join(this.getCacheDir(), 'redaction-audit.log');
+    }
+
+    /**
+     * Report redactions and append them to the audit log (values are masked)
+     */
+    async auditRedactions(redactor) {
+        const entries = redactor.getAuditEntries();
+        const counts = entries.reduce((acc, entry) => ({ ...acc, [entry.rule]: (acc[entry.rule] || 0) + 1 }), {});
+        const summary = Object.entries(counts).map(([rule, count]) => `${rule} ×${count}`).join(', ');
+        console.log(`🔒 Redacted ${entries.length} value(s) before sending to AI (${summary})`);
+
+        if (this.workspace.dryRun) {
+            return;
+        }
+
+        const auditLog = this.getAuditLogPath();
+
+        try {
+            const timestamp = new Date().toISOString();
+            const lines = entries.map(entry => JSON.stringify({ timestamp, ...entry })).join('\n');
+            await fs.mkdir(path.dirname(auditLog), { recursive: true });
+            if (auditLog.startsWith(this.getCacheDir() + path.sep)) {
+                await this.getPolishCache().ignoreInGit();
+            }
+            await fs.appendFile(auditLog, `${lines}\n`);
+        } catch (error) {
+            console.warn('Could not write redaction audit log:', error.message);
+        }
+    }
+
+    /**
+     * Extract the {id, text} entries from a model response. Line breaks inside
+     * a text are collapsed so each entry stays a single bullet line.
+     */
+    parsePolishResponse(response) {
+        const text = String(response || '').replace(/^```(?:json)?\s*|\s*```\s*$/g, '').trim();
+        const start = text.search(/[[{]/);
+        if (start === -1) {
+            throw new Error('AI response did not contain JSON');
+        }
+
+        const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+        const data = JSON.parse(text.slice(start, end + 1));
+        const entries = Array.isArray(data) ? data : data.entries;
+
+        if (!Array.isArray(entries)) {
+            throw new Error('AI response JSON has no "entries" list');
+        }
+
+        return entries
+            .filter(entry => entry && typeof entry.id === 'string' && typeof entry.text === 'string' && entry.text.trim())
+            .map(entry => ({
+                id: entry.id.trim(),
+                text: entry.text.trim().replace(/\s*\n\s*/g, ' ').replace(/^-\s+/, '')
+            }));
+    }
+
+    /**
+     * Get the name of the configured AI provider
+     */
+    getAIProviderName() {
+        return (this.config.ai || {}).provider || this.config.aiApiType;
+    }
+
+    /**
+     * Get the on-disk cache of polished messages
+     */
+    getPolishCache() {
+        if (!this.polishCache) {
+            this.polishCache = new PolishCache({
+                dir: this.getCacheDir(),
+                enabled: this.config.cache !== false,
+                // A dry run must not leave anything behind
+                readOnly: this.workspace.dryRun
+            });
+        }
+        return this.polishCache;
+    }
+
+    /**
+     * Get the directory of the AI response cache
+     */
+    getCacheDir() {
+        return path.resolve(this.config.projectRoot, this.config.cacheDir || '.changelog-cache');
+    }
+
+    /**
+     * Get the configured AI provider, or null when AI polishing isn't set up.
+     * `ai.provider` (or the legacy `aiApiType`) picks the provider; base URL,
+     * model, temperature and max tokens come from the `ai` config block.
+     */
+    getAIProvider() {
+        if (this.aiProvider !== undefined) {
+            return this.aiProvider;
+        }
+
+        const aiConfig = this.config.ai || {};
+        const name = this.getAIProviderName();
+        const apiKey = aiConfig.apiKey ||
+            (aiConfig.apiKeyEnv ? process.env[aiConfig.apiKeyEnv] : undefined) ||
+            this.config.aiApiKey;
+
+        try {
+            const provider = createProvider(name, {
+                ...aiConfig,
+                apiKey
+            }, this.config.aiProviders || {}, this.config.projectRoot);
+
+            const configured = typeof provider.isConfigured === 'function' ? provider.isConfigured() : true;
+            this.aiProvider = configured ? provider : null;
+        } catch (error) {
+            console.warn('Could not set up AI provider, using raw messages:', error.message);
+            this.aiProvider = null;
+        }
+
+        return this.aiProvider;
+    }
+
+    /**
+     * Get next version number
+     */
+    async getNextVersion(bumpType = 'patch') {
+        const highestVersion = await this.getHighestVersion();
+        let nextVersion = '0.1.0';
+        
+        if (highestVersion) {
+            nextVersion = semver.inc(highestVersion.version, bumpType);
+        } else {
+            // Without release files, continue from the version in package.json
+            try {
+                const packageJsonPath = this.config.package
+                    ? path.join(this.config.package.dir, 'package.json')
+                    : path.resolve(this.config.projectRoot, this.config.packageJsonPath || 'package.json');
+                const { version } = JSON.parse(await this.workspace.readFile(packageJsonPath, 'utf8'));
+                nextVersion = semver.valid(version) ? semver.inc(version, bumpType) : nextVersion;
+            } catch {
+                // No readable package.json
+            }
+        }
+        
+        return nextVersion;
+    }
+
+    /**
+     * Create new unreleased file if it doesn't exist
+     */
+    async createUnreleasedFile(filePath) {
+        // Get next version number
+        const nextVersion = await this.getNextVersion();
+        const content = await this.renderDraft(nextVersion);
+
+        await this.workspace.writeFile(filePath, content);
+        console.log(`Created new unreleased file: ${filePath}`);
+        return filePath;
+    }
+
+    /**
+     * Load a release template ('draft', 'release' or 'releaseBody'). Templates
+     * are files named under `templates` in the config; without one, the
+     * built-in template from templates/release/ is used.
+     */
+    async loadTemplate(name) {
+        const builtIn = { draft: 'draft.md', release: 'release.md', releaseBody: 'release-body.md' };
+        if (!builtIn[name]) {
+            throw new Error(`Unknown release template "${name}"`);
+        }
+
+        const configured = (this.config.templates || {})[name];
+        const templatePath = configured
+            ? path.resolve(this.config.projectRoot, configured)
+            : path.join(__dirname, '..', 'templates', 'release', builtIn[name]);
+
+        try {
+            return await this.workspace.readFile(templatePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read ${name} template ${configured || templatePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render a release template with the given context
+     */
+    async renderTemplate(name, context = {}) {
+        const projectName = await this.getProjectName();
+        return this.templateEngine.render(await this.loadTemplate(name), { projectName, ...context });
+    }
+
+    /**
+     * Build the content of a new draft file for a version
+     */
+    async renderDraft(version) {
+        const date = new Date().toISOString().split('T')[0];
+        const body = await this.renderTemplate('draft', { version, date, tag: '' });
+
+        return `${formatFrontmatter({ version, date, tag: null })}\n${body}`;
+    }
+
+    /**
+     * Update changelog file with new entries
+     */
+    async updateChangelogFile(filePath, newEntries) {
+        try {
+            let content;
+            
+            // Check if file exists
+            try {
+                content = await this.workspace.readFile(filePath, 'utf8');
+            } catch {
+                // File doesn't exist, create it
+                await this.createUnreleasedFile(filePath);
+                content = await this.workspace.readFile(filePath, 'utf8');
+            }
+
+            const lines = content.split('\n');
+            const unreleasedIndex = this.findUnreleasedIndex(lines);
+
+            // Group new entries by section, keeping their relative order
+            const grouped = new Map();
+            for (const entry of newEntries) {
+                const section = entry.section || this.getSectionForCommit(this.parseCommit(entry.message));
+                if (!grouped.has(section)) {
+                    grouped.set(section, []);
+                }
+                grouped.get(section).push(`${entry.polished} ${this.formatEntryMarker(entry)}`);
+            }
+
+            for (const [section, entryLines] of grouped) {
+                this.insertIntoSection(lines, unreleasedIndex, section, entryLines);
+            }
+
+            await this.workspace.writeFile(filePath, lines.join('\n'));
+            console.log(`Updated changelog: ${filePath}`);
+            console.log(`Added ${newEntries.length} new entries`);
+        } catch (error) {
+            console.error('Error updating changelog file:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the last scanned commit in the release file's frontmatter
+     */
+    async recordLastCommit(releaseFile) {
+        try {
+            const lastCommit = this.resolveRef(this.config.to || 'HEAD');
+            const content = await this.workspace.readFile(releaseFile, 'utf8');
+
+            // Never move the recorded commit backwards (e.g. after an explicit --to)
+            const recorded = this.parseFrontmatter(content).lastCommit;
+            if (recorded && recorded !== lastCommit && this.isAncestor(lastCommit, recorded)) {
+                return;
+            }
+
+            await this.workspace.writeFile(releaseFile, this.setFrontmatterValue(content, 'lastCommit', lastCommit));
+        } catch (error) {
+            console.warn('Could not record last commit:', error.message);
+        }
+    }
+
+    /**
+     * Find the **Unreleased** heading, adding it if the file doesn't have one
+     */
+    findUnreleasedIndex(lines) {
+        const unreleasedIndex = lines.findIndex(line => line.includes('**Unreleased**'));
+        if (unreleasedIndex !== -1) {
+            return unreleasedIndex;
+        }
+
+        // Add **Unreleased** section if it doesn't exist
+        const insertIndex = lines.findIndex(line => line.startsWith('# Release'));
+        if (insertIndex !== -1) {
+            lines.splice(insertIndex + 1, 0, '', '## **Unreleased**', '');
+            return insertIndex + 2;
+        }
+
+        // Append to end of file
+        lines.push('', '## **Unreleased**', '');
+        return lines.length - 2;
+    }
+
+    /**
+     * Insert entry lines under a section heading inside the **Unreleased** block,
+     * creating the heading in configured section order if it doesn't exist yet.
+     * Entries go to the top of the section unless `append` is set.
+     */
+    insertIntoSection(lines, unreleasedIndex, sectionTitle, entryLines, append = false) {
+        // The Unreleased block ends at the next level-2 heading
+        let blockEnd = lines.findIndex((line, i) => i > unreleasedIndex && line.startsWith('## '));
+        if (blockEnd === -1) {
+            blockEnd = lines.length;
+        }
+
+        const headingIndex = lines.findIndex((line, i) =>
+            i > unreleasedIndex && i < blockEnd && line.trim() === `### ${sectionTitle}`);
+
+        if (headingIndex !== -1) {
+            let insertIndex = headingIndex + 1;
+            if (append) {
+                while (insertIndex < blockEnd && lines[insertIndex].trim().startsWith('- ')) {
+                    insertIndex++;
+                }
+            }
+            lines.splice(insertIndex, 0, ...entryLines);
+            return;
+        }
+
+        // Place the new heading before the first existing section that comes later in config order
+        const order = this.getSections().map(s => s.title);
+        const rank = title => (order.includes(title) ? order.indexOf(title) : order.length);
+        const newRank = rank(sectionTitle);
+
+        let insertIndex = lines.findIndex((line, i) =>
+            i > unreleasedIndex && i < blockEnd && line.startsWith('### ') && rank(line.slice(4).trim()) > newRank);
+
+        if (insertIndex === -1) {
+            const markerIndex = lines.findIndex((line, i) =>
+                i > unreleasedIndex && i < blockEnd && line.includes('<!-- New entries will be added here -->'));
+            insertIndex = markerIndex !== -1 ? markerIndex : blockEnd;
+
+            // Don't leave the section trailing after blank lines at the end of the block
+            while (markerIndex === -1 && insertIndex > unreleasedIndex + 1 && lines[insertIndex - 1].trim() === '') {
+                insertIndex--;
+            }
+        }
+
+        const block = [`### ${sectionTitle}`, ...entryLines, ''];
+        if (lines[insertIndex - 1] !== undefined && lines[insertIndex - 1].trim() !== '') {
+            block.unshift('');
+        }
+
+        lines.splice(insertIndex, 0, ...block);
+    }
+
+    /**
+     * Read the entries of a release file grouped by their section heading
+     */
+    async getEntriesBySection(filePath) {
+        let content;
+        try {
+            content = await this.workspace.readFile(filePath, 'utf8');
+        } catch {
+            return [];
+        }
+
+        return this.parseEntries(content);
+    }
+
+    /**
+     * Parse the entries of release file content, with their section heading
+     */
+    parseEntries(content) {
+        const entries = [];
+        let section = null;
+
+        // Skip the frontmatter, whose YAML lists look like entries
+        for (const line of splitFrontmatter(content).body.split('\n')) {
+            if (line.startsWith('### ')) {
+                section = line.slice(4).trim();
+            } else if (line.startsWith('#')) {
+                section = null;
+            } else if (line.trim().startsWith('- ')) {
+                const marker = this.parseEntryMarker(line);
+                entries.push({
+                    section,
+                    line: line.trim(),
+                    text: line.replace(/\s*<!--.*?-->/g, '').trim(),
+                    hash: marker ? marker.hash : null,
+                    commit: marker ? marker.commit : null
+                });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Read a release file into { version, date, tag, released, frontmatter, notes, sections }
+     * plus its metadata (codename, summary, highlights, contributors, commitRange,
+     * prerelease, yanked), where each section is { title, entries: [{ text, hash, commit, marker, details }] }
+     * and `details` holds the Markdown written below an entry (nested bullets, code, ...)
+     */
+    async readRelease(filePath) {
+        return this.parseRelease(await this.workspace.readFile(filePath, 'utf8'), filePath);
+    }
+
+    /**
+     * Parse release file content, as read by readRelease
+     */
+    parseRelease(content, filePath) {
+        let frontmatter;
+        try {
+            frontmatter = this.parseFrontmatter(content);
+        } catch (error) {
+            throw new Error(`${path.basename(filePath)}: ${error.message}`);
+        }
+        const fileVersion = path.basename(filePath, '.md');
+
+        // Only top-level bullets are entries: the nested bullets, subheadings,
+        // code blocks and text below one are kept verbatim as its details
+        const sections = [];
+        const noteLines = [];
+        let section = null;
+        let entry = null;
+        let inFence = false;
+
+        for (const line of splitFrontmatter(content).body.split('\n')) {
+            const isHeading = !inFence && /^#{1,3}(\s|$)/.test(line);
+            const isEntry = !inFence && line.startsWith('- ');
+
+            if (isHeading) {
+                entry = null;
+                section = line.startsWith('### ') ? this.getReleaseSection(sections, line.slice(4).trim()) : null;
+            } else if (isEntry) {
+                const marker = this.parseEntryMarker(line);
+                entry = {
+                    text: line.replace(/\s*<!--.*?-->/g, '').trim().replace(/^-\s+/, ''),
+                    hash: marker ? marker.hash : null,
+                    commit: marker ? marker.commit : null,
+                    marker: (line.match(/<!--.*?-->/) || [''])[0],
+                    details: []
+                };
+                (section || this.getReleaseSection(sections, null)).entries.push(entry);
+            } else if (entry) {
+                entry.details.push(line);
+            } else if (inFence || (!line.startsWith('#') && !/^\s*<!--.*-->\s*$/.test(line))) {
+                // Free text outside of entries, e.g. a hand-written intro
+                noteLines.push(line);
+            }
+
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+            }
+        }
+
+        // Trailing blank lines only stay where they separate details from the next entry
+        for (const { entries } of sections) {
+            entries.forEach((item, index) => {
+                const details = item.details.join('\n').trimEnd();
+                const spaced = details && index < entries.length - 1 && /\n\s*$/.test(item.details.join('\n'));
+                item.details = spaced ? `${details}\n` : details;
+            });
+        }
+
+        const notes = noteLines
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        const version = semver.valid(fileVersion) ? fileVersion : (frontmatter.version || null);
+        const commitRange = frontmatter.commitRange || {};
+
+        return {
+            version,
+            date: frontmatter.date || null,
+            tag: frontmatter.tag || null,
+            released: Boolean(frontmatter.tag),
+            file: filePath,
+            frontmatter,
+            codename: frontmatter.codename || null,
+            summary: frontmatter.summary || null,
+            highlights: toList(frontmatter.highlights),
+            contributors: toList(frontmatter.contributors),
+            commitRange: commitRange.to ? { from: commitRange.from || null, to: commitRange.to } : null,
+            prerelease: typeof frontmatter.prerelease === 'boolean'
+                ? frontmatter.prerelease
+                : Boolean(version && semver.prerelease(version)),
+            yanked: Boolean(frontmatter.yanked),
+            yankedReason: typeof frontmatter.yanked === 'string' ? frontmatter.yanked : null,
+            notes,
+            sections
+        };
+    }
+
+    /**
+     * Find a section of a parsed release by title, adding it when it's new
+     */
+    getReleaseSection(sections, title) {
+        let section = sections.find(s => s.title === title);
+        if (!section) {
+            section = { title, entries: [] };
+            sections.push(section);
+        }
+        return section;
+    }
+
+    /**
+     * Read every release file, highest version first, optionally starting with
+     * the draft (with any pending fragments merged in)
+     */
+    async readReleases(options = {}) {
+        const releases = [];
+
+        if (options.includeDraft) {
+            let draft = null;
+            try {
+                draft = await this.workspace.readFile(this.draftFile, 'utf8');
+            } catch {
+                // No draft
+            }
+
+            const fragments = await this.readFragments();
+            if (fragments.length > 0) {
+                draft = this.mergeFragments(draft === null ? await this.renderDraft(await this.getNextVersion()) : draft, fragments);
+            }
+            if (draft !== null) {
+                releases.push(this.parseRelease(draft, this.draftFile));
+            }
+        }
+
+        for (const { file } of await this.getReleaseFiles()) {
+            releases.push(await this.readRelease(path.join(this.changelogDir, file)));
+        }
+
+        return releases;
+    }
+
+    /**
+     * Add entries to changelog
+     */
+    async addToChangelog(options = {}) {
+        try {
+            console.log('🚀 Starting changelog update...');
+
+            let added = 0;
+            let cancelled = false;
+            const monorepo = this.getMonorepo();
+            if (monorepo) {
+                // Each package collects the commits that touched it into its own draft
+                const packages = options.package
+                    ? [await monorepo.getPackage(options.package)]
+                    : await monorepo.getPackages();
+
+                if (options.customMessage && packages.length > 1) {
+                    throw new Error('Choose the package a custom message belongs to with --workspace <name>');
+                }
+
+                for (const pkg of packages) {
+                    console.log(`\n📦 ${pkg.name}`);
+                    const count = await this.forPackage(pkg).addEntries(options);
+                    if (count === null) {
+                        // Quitting the review stops the whole run, not just this package
+                        cancelled = true;
+                        break;
+                    }
+                    added += count;
+                }
+            } else {
+                const count = await this.addEntries(options);
+                cancelled = count === null;
+                added = count || 0;
+            }
+
+            if (cancelled) {
+                console.log(added > 0
+                    ? '👋 Review cancelled, the remaining packages were left as they are'
+                    : '👋 Review cancelled, nothing was added');
+            }
+
+            if (added === 0) {
+                return;
+            }
+
+            if (this.workspace.dryRun) {
+                await this.workspace.printDryRunReport();
+                return;
+            }
+
+            console.log('✅ Changelog updated successfully!');
+            
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Add new commits (or a custom message) to the open release file, or as
+     * fragments in fragment mode. `options.category` files the entries under
+     * a section of choice and `options.bump` sets a fragment's bump level.
+     * `options.review(entries, manager)` is called before anything is written
+     * and resolves to the entries to keep (null cancels); commits it leaves
+     * out are remembered as skipped. Returns the number of entries added, or
+     * null when the review was cancelled.
+     */
+    async addEntries(options = {}) {
+        const fragmentMode = this.isFragmentMode();
+        this.validateEntryOptions(options);
+
+        // Detect the open release file
+        let releaseFile = null;
+        if (fragmentMode) {
+            console.log(`📝 Writing entry fragments to: ${this.fragmentsDir}`);
+        } else {
+            releaseFile = await this.detectOpenReleaseFile();
+            console.log(`📝 Using release file: ${releaseFile}`);
+        }
+
+        // Get new commits or use custom message
+        let newEntries = [];
+        
+        const index = await this.loadEntryIndex();
+
+        if (options.customMessage) {
+            // Check if message already exists
+            if (this.isEntryInChangelog(index, { message: options.customMessage })) {
+                console.log('⚠️  Message already exists in changelog, skipping...');
+                return 0;
+            }
+            
+            const parsed = this.parseCommit(options.customMessage);
+            const polished = await this.polishCommitMessages([options.customMessage]);
+            newEntries = [{
+                message: options.customMessage,
+                section: options.category || this.getSectionForCommit(parsed),
+                bump: options.bump || this.getBumpForCommit(parsed),
+                date: new Date().toISOString(),
+                polished: polished[0] || `- ${this.formatCommitDescription(parsed)}`
+            }];
+        } else {
+            const range = await this.resolveCommitRange();
+            const commits = await this.getNewCommits();
+            console.log(`📋 Found ${commits.length} commits ${range.description}`);
+
+            // Filter out commits that are already in any release file
+            const filteredCommits = commits.filter(commit => !this.isEntryInChangelog(index, commit));
+
+            console.log(`📋 ${filteredCommits.length} new commits to add`);
+
+            if (filteredCommits.length === 0) {
+                console.log('✅ No new commits to add to changelog');
+                return 0;
+            }
+
+            // Polish the commit messages
+            const messages = filteredCommits.map(c => c.message);
+            const polished = await this.polishCommitMessages(messages, { bodies: filteredCommits.map(c => c.body) });
+            
+            newEntries = filteredCommits.map((commit, index) => {
+                const parsed = this.parseCommit(commit.message, commit.body);
+                return {
+                    message: commit.message,
+                    body: commit.body,
+                    commit: commit.hash,
+                    section: options.category || this.getSectionForCommit(parsed),
+                    bump: options.bump || this.getBumpForCommit(parsed),
+                    date: commit.date,
+                    polished: polished[index] || `- ${this.formatCommitDescription(parsed)}`
+                };
+            });
+        }
+
+        if (options.review) {
+            const reviewed = await options.review(newEntries, this);
+            if (!reviewed) {
+                return null;
+            }
+
+            const kept = new Set(reviewed.map(entry => entry.commit).filter(Boolean));
+            await this.recordSkippedCommits(newEntries
+                .filter(entry => entry.commit && !kept.has(entry.commit))
+                .map(entry => ({ hash: entry.commit, message: entry.message })));
+
+            newEntries = reviewed;
+            if (newEntries.length === 0) {
+                console.log('✅ No entries to add after review');
+                return 0;
+            }
+        }
+
+        if (fragmentMode) {
+            await this.writeFragments(newEntries);
+            return newEntries.length;
+        }
+
+        // Update the changelog file
+        await this.updateChangelogFile(releaseFile, newEntries);
+
+        // Remember where this scan stopped so the next run picks up from there
+        if (!options.customMessage) {
+            await this.recordLastCommit(releaseFile);
+        }
+
+        return newEntries.length;
+    }
+
+    /**
+     * Check the category and bump level given for new entries
+     */
+    validateEntryOptions(options) {
+        const sections = this.getSections().map(s => s.title);
+        if (options.category && !sections.includes(options.category)) {
+            throw new Error(`Unknown section "${options.category}". Available: ${sections.join(', ')}`);
+        }
+        if (options.bump && !FragmentStore.BUMP_LEVELS.includes(options.bump)) {
+            throw new Error(`Unknown bump level "${options.bump}". Available: ${FragmentStore.BUMP_LEVELS.join(', ')}`);
+        }
+        if (options.bump && !this.isFragmentMode()) {
+            throw new Error('A bump level can only be recorded in fragment mode (set "fragments": true in changelog.config.json)');
+        }
+    }
+
+    /**
+     * Write one fragment per new entry
+     */
+    async writeFragments(newEntries) {
+        const store = this.getFragmentStore();
+        for (const entry of newEntries) {
+            const filePath = await store.write({
+                id: entry.commit ? entry.commit.substring(0, 7) : this.createMessageHash(entry.message),
+                category: entry.section,
+                bump: entry.bump || undefined,
+                commit: entry.commit,
+                message: entry.message,
+                date: entry.date,
+                text: entry.polished.replace(/^-\s+/, '')
+            });
+            console.log(`Created fragment: ${path.relative(this.config.projectRoot, filePath)}`);
+        }
+        console.log(`Added ${newEntries.length} new entries`);
+    }
+
+    /**
+     * Order fragments for a release file: by configured section order, then
+     * newest first (like entries added to the draft), then by file name
+     */
+    sortFragments(fragments) {
+        const order = this.getSections().map(s => s.title);
+        const rank = fragment => {
+            const index = order.indexOf(fragment.category || this.getDefaultSection());
+            return index === -1 ? order.length : index;
+        };
+
+        return [...fragments].sort((a, b) =>
+            rank(a) - rank(b) ||
+            String(b.date || '').localeCompare(String(a.date || '')) ||
+            a.file.localeCompare(b.file));
+    }
+
+    /**
+     * Get the title of the section entries without a category go to
+     */
+    getDefaultSection() {
+        const sections = this.getSections();
+        return (sections.find(s => s.default) || sections[sections.length - 1]).title;
+    }
+
+    /**
+     * Merge fragments into the **Unreleased** block of a release file's content,
+     * below the entries already there, and return the new content
+     */
+    mergeFragments(content, fragments) {
+        const lines = content.split('\n');
+        const unreleasedIndex = this.findUnreleasedIndex(lines);
+
+        const grouped = new Map();
+        for (const fragment of this.sortFragments(fragments)) {
+            const section = fragment.category || this.getDefaultSection();
+            if (!grouped.has(section)) {
+                grouped.set(section, []);
+            }
+            const marker = this.formatEntryMarker({ message: fragment.message || fragment.text, commit: fragment.commit });
+            grouped.get(section).push(`- ${fragment.text} ${marker}`);
+        }
+
+        for (const [section, entryLines] of grouped) {
+            this.insertIntoSection(lines, unreleasedIndex, section, entryLines, true);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Normalize a frontmatter value that may be a single item or a list
+ */
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
     }
+    return (Array.isArray(value) ? value : [value]).map(String);
 }
 
 module.exports = ChangelogManager;
@@ -0,0 +1,87 @@
+/**
+ * Commit Parser - Parses commit messages following the Conventional Commits spec
+ *
+ * Splits a commit into type, scope, breaking marker (`!`), description, body
+ * and footers (including `BREAKING CHANGE:` footers).
+ * See https://www.conventionalcommits.org/en/v1.0.0/
+ */
+
+const HEADER_PATTERN = /^(\w+)(?:\(([^()]*)\))?(!)?:\s+(.+)$/;
+const FOOTER_PATTERN = /^(BREAKING[ -]CHANGE|[A-Za-z][\w-]*)(?::\s|\s#)(.*)$/;
+
+class CommitParser {
+    /**
+     * Parse a commit subject (and optional body) into its conventional parts
+     */
+    parse(message, body = '') {
+        const header = (message || '').trim();
+        const match = header.match(HEADER_PATTERN);
+        const { text, footers } = this.parseBody(body);
+
+        const breakingFooter = footers.find(footer => this.isBreakingToken(footer.token));
+
+        if (!match) {
+            return {
+                header,
+                type: null,
+                scope: null,
+                breaking: Boolean(breakingFooter),
+                description: header,
+                body: text,
+                footers,
+                conventional: false
+            };
+        }
+
+        const [, type, scope, bang, description] = match;
+
+        return {
+            header,
+            type: type.toLowerCase(),
+            scope: scope ? scope.trim() : null,
+            breaking: Boolean(bang) || Boolean(breakingFooter),
+            description: description.trim(),
+            body: text,
+            footers,
+            conventional: true
+        };
+    }
+
+    /**
+     * Split a commit body into free text and trailing footers
+     */
+    parseBody(body = '') {
+        const paragraphs = (body || '').replace(/\r\n/g, '\n').trim().split(/\n\s*\n/);
+        const footers = [];
+
+        // Footers live in the trailing paragraph(s) of the body
+        let footerStart = paragraphs.length;
+        while (footerStart > 0 && FOOTER_PATTERN.test(paragraphs[footerStart - 1].split('\n')[0])) {
+            footerStart--;
+        }
+
+        for (const paragraph of paragraphs.slice(footerStart)) {
+            for (const line of paragraph.split('\n')) {
+                const footerMatch = line.match(FOOTER_PATTERN);
+                if (footerMatch) {
+                    footers.push({ token: footerMatch[1], value: footerMatch[2].trim() });
+                } else if (footers.length > 0) {
+                    // Continuation line of the previous footer value
+                    const last = footers[footers.length - 1];
+                    last.value = `${last.value}\n${line.trim()}`;
+                }
+            }
+        }
+
+        return { text: paragraphs.slice(0, footerStart).join('\n\n').trim(), footers };
+    }
+
+    /**
+     * Check whether a footer token marks a breaking change
+     */
+    isBreakingToken(token) {
+        return token === 'BREAKING CHANGE' || token === 'BREAKING-CHANGE';
+    }
+}
+
+module.exports = CommitParser;
@@ -0,0 +1,211 @@
+/**
+ * Entry Check - Requires a changelog entry for changes to source files
+ *
+ * Compares the working tree with the merge base of a base branch. When a
+ * changed file matches the `check.paths` globs, the branch must add an entry
+ * to the open release file (compared by hash marker with the base's copy) or
+ * a new entry fragment. A `Changelog: skip` commit trailer or a skip label
+ * passed in by CI waives the check. In a monorepo every package's changes
+ * need an entry in that package's changelog.
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const micromatch = require('micromatch');
+
+const SKIP_VALUES = ['skip', 'none', 'no'];
+
+class EntryCheck {
+    constructor(changelogManager, options = {}) {
+        const checkConfig = changelogManager.config.check || {};
+
+        this.changelogManager = changelogManager;
+        this.base = options.base;
+        this.labels = options.labels || [];
+        this.options = {
+            paths: checkConfig.paths || ['**'],
+            ignore: checkConfig.ignore || [],
+            skipTrailer: checkConfig.skipTrailer || 'Changelog',
+            skipLabels: options.skipLabels || checkConfig.skipLabels || ['skip-changelog']
+        };
+    }
+
+    /**
+     * Run the check. Returns { ok, base, skipped, results }, where `skipped` says
+     * why the check was waived and each result is { package, files, entries, ok }.
+     */
+    async run() {
+        if (!this.base) {
+            throw new Error('A base ref is required (e.g. --base origin/main)');
+        }
+
+        const base = this.getMergeBase();
+        const skipped = this.getSkipReason(base);
+        if (skipped) {
+            return { ok: true, base, skipped, results: [] };
+        }
+
+        const changedFiles = this.getChangedFiles(base);
+        const results = [];
+        const monorepo = this.changelogManager.getMonorepo();
+
+        if (monorepo) {
+            for (const pkg of await monorepo.getPackages()) {
+                const check = new EntryCheck(this.changelogManager.forPackage(pkg), { base: this.base });
+                check.options = this.options;
+                results.push(await check.checkProject(base, changedFiles, pkg));
+            }
+        } else {
+            results.push(await this.checkProject(base, changedFiles, null));
+        }
+
+        return { ok: results.every(result => result.ok), base, skipped: null, results };
+    }
+
+    /**
+     * Check a single project (or workspace package) for a new entry
+     */
+    async checkProject(base, changedFiles, pkg) {
+        const files = this.getFilesNeedingEntry(changedFiles, pkg);
+        const result = { package: pkg ? pkg.name : null, files, entries: [], ok: true };
+        if (files.length === 0) {
+            return result;
+        }
+
+        result.entries = [
+            ...await this.getNewEntries(base),
+            ...await this.getNewFragments(base)
+        ];
+        result.ok = result.entries.length > 0;
+        return result;
+    }
+
+    /**
+     * Find the commit the branch forked from
+     */
+    getMergeBase() {
+        try {
+            return this.git(['merge-base', this.base, 'HEAD']);
+        } catch {
+            throw new Error(`Could not find a merge base with ${this.base}. Is the ref fetched? (e.g. git fetch origin main, or fetch-depth: 0 in CI)`);
+        }
+    }
+
+    /**
+     * Get why the check is waived: a skip label, or a skip trailer on any commit of the branch
+     */
+    getSkipReason(base) {
+        const label = this.labels.find(name => this.options.skipLabels.includes(name));
+        if (label) {
+            return `label "${label}"`;
+        }
+
+        const key = this.options.skipTrailer.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const trailer = new RegExp(`^${key}:\\s*(${SKIP_VALUES.join('|')})\\s*$`, 'im');
+        const commit = this.changelogManager.readCommits([`${base}..HEAD`]).find(c => trailer.test(c.body));
+        if (commit) {
+            return `"${this.options.skipTrailer}: ${commit.body.match(trailer)[1]}" trailer on ${commit.hash.substring(0, 7)}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * List the files changed since the merge base, including uncommitted and
+     * untracked ones, relative to the project root like the path globs
+     */
+    getChangedFiles(base) {
+        const changed = this.git(['diff', '--name-only', '--relative', base]);
+        const untracked = this.git(['ls-files', '--others', '--exclude-standard']);
+        return [...new Set(`${changed}\n${untracked}`.split('\n').filter(Boolean))];
+    }
+
+    /**
+     * Filter the changed files down to the ones that need an entry. Globs are
+     * matched relative to the package directory in a monorepo.
+     */
+    getFilesNeedingEntry(changedFiles, pkg) {
+        const config = this.changelogManager.config;
+        const root = pkg ? pkg.relativeDir : '';
+        const relative = file => (root ? path.posix.relative(root, file) : file);
+
+        // The changelog itself never needs an entry
+        const ignore = [
+            ...this.options.ignore,
+            `${path.relative(path.resolve(config.projectRoot, root), this.changelogManager.changelogDir).split(path.sep).join('/')}/**`,
+            config.changelogFile || 'CHANGELOG.md'
+        ];
+
+        return changedFiles.filter(file => {
+            if (root && !file.startsWith(`${root}/`)) {
+                return false;
+            }
+            return micromatch.isMatch(relative(file), this.options.paths, { dot: true, ignore });
+        });
+    }
+
+    /**
+     * Get the entries of the open release file that the base doesn't have, as [{ file, text }]
+     */
+    async getNewEntries(base) {
+        const manager = this.changelogManager;
+        const openFile = await manager.findOpenReleaseFile();
+        const relativePath = path.relative(manager.config.projectRoot, openFile).split(path.sep).join('/');
+
+        let current;
+        try {
+            current = await manager.workspace.readFile(openFile, 'utf8');
+        } catch {
+            return [];
+        }
+
+        let previous = '';
+        try {
+            previous = this.git(['show', `${base}:./${relativePath}`]);
+        } catch {
+            // The open release file is new on this branch
+        }
+
+        const key = entry => entry.commit || entry.hash || manager.createMessageHash(entry.text);
+        const existing = new Set(manager.parseEntries(previous).map(key));
+        return manager.parseEntries(current)
+            .filter(entry => !existing.has(key(entry)))
+            .map(entry => ({ file: relativePath, text: entry.text.replace(/^-\s+/, '') }));
+    }
+
+    /**
+     * Get the entry fragments that the base doesn't have, as [{ file, text }]
+     */
+    async getNewFragments(base) {
+        const manager = this.changelogManager;
+        if (!manager.isFragmentMode()) {
+            return [];
+        }
+
+        const relativeDir = path.relative(manager.config.projectRoot, manager.fragmentsDir).split(path.sep).join('/');
+        let existing;
+        try {
+            existing = new Set(this.git(['ls-tree', '--name-only', base, '--', `${relativeDir}/`]).split('\n').map(f => path.posix.basename(f)));
+        } catch {
+            existing = new Set();
+        }
+
+        return (await manager.readFragments())
+            .filter(fragment => !existing.has(fragment.file))
+            .map(fragment => ({ file: `${relativeDir}/${fragment.file}`, text: fragment.text }));
+    }
+
+    /**
+     * Run git with the given arguments in the project root (without going
+     * through the shell) and return its trimmed output
+     */
+    git(args) {
+        return execFileSync('git', args, {
+            encoding: 'utf8',
+            cwd: this.changelogManager.config.projectRoot,
+            stdio: 'pipe'
+        }).trim();
+    }
+}
+
+module.exports = EntryCheck;
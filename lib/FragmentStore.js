@@ -0,0 +1,122 @@
+/**
+ * Fragment Store - One small file per changelog entry
+ *
+ * In fragment mode entries aren't added to the shared draft: each one is
+ * written to its own Markdown file in an `unreleased/` directory, so branches
+ * that add entries never edit the same file. The frontmatter of a fragment
+ * carries its section (`category`) and bump level; the body is the entry text.
+ * A release merges the fragments into the draft and deletes them.
+ */
+
+const path = require('path');
+const { splitFrontmatter, parseFrontmatter, formatFrontmatter } = require('./frontmatter');
+
+// `none` marks an entry that shouldn't raise the version on its own
+const BUMP_LEVELS = ['major', 'minor', 'patch', 'none'];
+
+class FragmentStore {
+    constructor(dir, workspace) {
+        this.dir = dir;
+        this.workspace = workspace;
+    }
+
+    /**
+     * Read every fragment, sorted by file name
+     */
+    async list() {
+        let files;
+        try {
+            files = (await this.workspace.readdir(this.dir)).filter(f => f.endsWith('.md'));
+        } catch {
+            // No fragments directory yet
+            return [];
+        }
+
+        const fragments = [];
+        for (const file of files) {
+            fragments.push(await this.read(path.join(this.dir, file)));
+        }
+        return fragments;
+    }
+
+    /**
+     * Read a fragment into { file, path, category, bump, commit, message, date, text }
+     */
+    async read(filePath) {
+        const file = path.basename(filePath);
+        const content = await this.workspace.readFile(filePath, 'utf8');
+
+        let data;
+        try {
+            data = parseFrontmatter(content);
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+
+        // An entry is a single bullet, so line breaks in the body are folded
+        const text = splitFrontmatter(content).body.trim().replace(/^-\s+/, '').replace(/\s*\n\s*/g, ' ');
+        if (!text) {
+            throw new Error(`${file}: fragment has no entry text`);
+        }
+        if (data.bump && !BUMP_LEVELS.includes(data.bump)) {
+            throw new Error(`${file}: unknown bump level "${data.bump}". Available: ${BUMP_LEVELS.join(', ')}`);
+        }
+
+        return {
+            file,
+            path: filePath,
+            category: data.category || null,
+            bump: data.bump || null,
+            commit: data.commit || null,
+            message: data.message || null,
+            date: data.date || null,
+            text
+        };
+    }
+
+    /**
+     * Write a fragment and return its path. `id` (a short SHA or message hash)
+     * starts the file name, so the same entry added on two branches lands in
+     * the same file.
+     */
+    async write({ id, category, bump, commit, message, date, text }) {
+        let existing;
+        try {
+            existing = new Set(await this.workspace.readdir(this.dir));
+        } catch {
+            existing = new Set();
+        }
+
+        const slug = text
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40)
+            .replace(/-+$/, '');
+        const base = slug ? `${id}-${slug}` : id;
+
+        let file = `${base}.md`;
+        for (let n = 2; existing.has(file); n++) {
+            file = `${base}-${n}.md`;
+        }
+
+        const data = Object.fromEntries(Object.entries({ category, bump, commit, message, date })
+            .filter(([, value]) => value !== undefined && value !== null));
+        const filePath = path.join(this.dir, file);
+
+        await this.workspace.mkdir(this.dir);
+        await this.workspace.writeFile(filePath, `${formatFrontmatter(data)}\n${text}\n`);
+        return filePath;
+    }
+
+    /**
+     * Delete a fragment
+     */
+    async remove(fragment) {
+        await this.workspace.unlink(fragment.path);
+    }
+}
+
+FragmentStore.BUMP_LEVELS = BUMP_LEVELS;
+
+module.exports = FragmentStore;
@@ -0,0 +1,180 @@
+/**
+ * Monorepo - Finds the packages of an npm/yarn workspaces monorepo
+ *
+ * Packages come from the `workspaces` globs in changelog.config.json, or from
+ * the root package.json with `"workspaces": true`. Each package gets its own
+ * release directory, draft and `name@version` tags, and commits are
+ * attributed to a package by the paths they touch.
+ */
+
+const path = require('path');
+const semver = require('semver');
+const fastGlob = require('fast-glob');
+
+// Dependency fields that make a package a dependent of another workspace package.
+// devDependencies only get their range updated, they don't trigger a release.
+const RUNTIME_DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+const DEPENDENCY_FIELDS = [...RUNTIME_DEPENDENCY_FIELDS, 'devDependencies'];
+
+class Monorepo {
+    constructor(config, workspace) {
+        const options = config.workspaces && typeof config.workspaces === 'object' && !Array.isArray(config.workspaces)
+            ? config.workspaces
+            : {};
+
+        this.workspace = workspace;
+        this.root = path.resolve(config.projectRoot);
+        this.options = {
+            packages: Array.isArray(config.workspaces) ? config.workspaces : options.packages,
+            changelogDir: options.changelogDir || config.changelogDir || 'changelog/releases'
+        };
+    }
+
+    /**
+     * Check whether a config enables monorepo mode
+     */
+    static isEnabled(config) {
+        return Boolean(config.workspaces);
+    }
+
+    /**
+     * Get the workspace globs: from the config, or the root package.json
+     */
+    async getPatterns() {
+        if (this.options.packages) {
+            return this.options.packages;
+        }
+
+        let packageJson = {};
+        try {
+            packageJson = JSON.parse(await this.workspace.readFile(path.join(this.root, 'package.json'), 'utf8'));
+        } catch {
+            // Handled below
+        }
+
+        const workspaces = Array.isArray(packageJson.workspaces)
+            ? packageJson.workspaces
+            : (packageJson.workspaces || {}).packages;
+        if (!workspaces || workspaces.length === 0) {
+            throw new Error('No workspaces found: list the package globs under "workspaces" in changelog.config.json or package.json');
+        }
+        return workspaces;
+    }
+
+    /**
+     * Get every workspace package, sorted by name
+     */
+    async getPackages() {
+        if (this.packages) {
+            return this.packages;
+        }
+
+        const dirs = await fastGlob(await this.getPatterns(), {
+            cwd: this.root,
+            onlyDirectories: true,
+            ignore: ['**/node_modules/**']
+        });
+
+        const packages = [];
+        for (const dir of dirs) {
+            const packageJsonPath = path.join(this.root, dir, 'package.json');
+            let manifest;
+            try {
+                manifest = JSON.parse(await this.workspace.readFile(packageJsonPath, 'utf8'));
+            } catch {
+                // Not a package
+                continue;
+            }
+            if (!manifest.name) {
+                console.warn(`Skipping ${dir}: its package.json has no name`);
+                continue;
+            }
+
+            const relativeDir = dir.replace(/\/+$/, '');
+            packages.push({
+                name: manifest.name,
+                version: manifest.version || '0.0.0',
+                dir: path.join(this.root, relativeDir),
+                relativeDir,
+                packageJsonPath: path.join(relativeDir, 'package.json'),
+                changelogDir: path.join(relativeDir, this.options.changelogDir),
+                tagPrefix: `${manifest.name}@`,
+                manifest
+            });
+        }
+
+        this.packages = packages.sort((a, b) => a.name.localeCompare(b.name));
+        return this.packages;
+    }
+
+    /**
+     * Get a package by name
+     */
+    async getPackage(name) {
+        const pkg = (await this.getPackages()).find(candidate => candidate.name === name);
+        if (!pkg) {
+            const names = (await this.getPackages()).map(candidate => candidate.name);
+            throw new Error(`Unknown package "${name}". Available: ${names.join(', ')}`);
+        }
+        return pkg;
+    }
+
+    /**
+     * Get the names of the workspace packages a package depends on
+     */
+    async getInternalDependencies(pkg, fields = RUNTIME_DEPENDENCY_FIELDS) {
+        const names = new Set((await this.getPackages()).map(candidate => candidate.name));
+        const dependencies = new Set();
+        for (const field of fields) {
+            for (const name of Object.keys(pkg.manifest[field] || {})) {
+                if (names.has(name) && name !== pkg.name) {
+                    dependencies.add(name);
+                }
+            }
+        }
+        return [...dependencies];
+    }
+
+    /**
+     * Get every package that depends on the given ones, directly or through
+     * other packages (the given packages themselves are left out)
+     */
+    async getDependents(names) {
+        const packages = await this.getPackages();
+        const dependents = new Set();
+        const queue = [...names];
+
+        while (queue.length > 0) {
+            const name = queue.shift();
+            for (const pkg of packages) {
+                if (names.includes(pkg.name) || dependents.has(pkg.name)) {
+                    continue;
+                }
+                if ((await this.getInternalDependencies(pkg)).includes(name)) {
+                    dependents.add(pkg.name);
+                    queue.push(pkg.name);
+                }
+            }
+        }
+
+        return packages.filter(pkg => dependents.has(pkg.name));
+    }
+
+    /**
+     * Point a dependency range at a new version, keeping its style
+     * (`^1.2.0` → `^1.3.0`, `workspace:~1.2.0` → `workspace:~1.3.0`).
+     * Returns null when the range should be left alone (`*`, `workspace:^`, complex ranges).
+     */
+    updateRange(range, version) {
+        const match = String(range).match(/^(workspace:)?(\^|~|>=|=)?v?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)$/);
+        if (!match || !semver.valid(match[3])) {
+            return null;
+        }
+        const updated = `${match[1] || ''}${match[2] || ''}${version}`;
+        return updated === range ? null : updated;
+    }
+}
+
+Monorepo.DEPENDENCY_FIELDS = DEPENDENCY_FIELDS;
+
+module.exports = Monorepo;
@@ -0,0 +1,110 @@
+/**
+ * Polish Cache - On-disk cache of AI-polished commit messages
+ *
+ * Entries are keyed by provider, model, prompt template and the raw message,
+ * so the same commit is only ever sent to the AI once per configuration.
+ * Each entry is a small JSON file under `<cacheDir>/polish/`.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class PolishCache {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.readOnly = Boolean(options.readOnly);
+        this.dir = path.join(path.resolve(options.dir || '.changelog-cache'), 'polish');
+    }
+
+    /**
+     * Build the cache key for a message polished with a given provider setup
+     */
+    key({ provider, model, template, message }) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify([provider, model, template, message]))
+            .digest('hex');
+    }
+
+    /**
+     * Get a cached polished message, or null
+     */
+    async get(key) {
+        if (!this.enabled) {
+            return null;
+        }
+        try {
+            const entry = JSON.parse(await fs.readFile(path.join(this.dir, `${key}.json`), 'utf8'));
+            return entry.text;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Store a polished message
+     */
+    async set(key, text, meta = {}) {
+        if (!this.enabled || this.readOnly) {
+            return;
+        }
+        try {
+            await fs.mkdir(this.dir, { recursive: true });
+            await this.ignoreInGit();
+            const entry = { text, createdAt: new Date().toISOString(), ...meta };
+            await fs.writeFile(path.join(this.dir, `${key}.json`), JSON.stringify(entry, null, 2) + '\n');
+        } catch (error) {
+            console.warn('Could not write polish cache:', error.message);
+        }
+    }
+
+    /**
+     * Keep the cache directory out of git with a `.gitignore` of its own
+     */
+    async ignoreInGit() {
+        const gitignore = path.join(path.dirname(this.dir), '.gitignore');
+        try {
+            await fs.writeFile(gitignore, '*\n', { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Remove entries older than the given number of days (all entries if 0).
+     * Returns the number of entries removed.
+     */
+    async prune(olderThanDays = 0) {
+        let files;
+        try {
+            files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json'));
+        } catch {
+            return 0;
+        }
+
+        const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+        let removed = 0;
+
+        for (const file of files) {
+            const filePath = path.join(this.dir, file);
+            let createdAt = 0;
+            try {
+                createdAt = Date.parse(JSON.parse(await fs.readFile(filePath, 'utf8')).createdAt) || 0;
+            } catch {
+                // Unreadable entries are always pruned
+            }
+
+            if (olderThanDays === 0 || createdAt < cutoff) {
+                await fs.rm(filePath, { force: true });
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+}
+
+module.exports = PolishCache;
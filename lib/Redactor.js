@@ -0,0 +1,118 @@
+/**
+ * Redactor - Strips secrets and internal identifiers from text before it is
+ * sent to an AI provider
+ *
+ * Matches are swapped for numbered placeholders (`[[R1]]`, `[[R2]]`, ...).
+ * After polishing, placeholders are restored to their original value for
+ * rules marked `restore`, and replaced with the rule's replacement text
+ * otherwise. Secrets found by the built-in detectors are never restored.
+ */
+
+const BUILT_IN_DETECTORS = [
+    { name: 'private-key', pattern: '-----BEGIN [A-Z ]*PRIVATE KEY-----[\\s\\S]*?-----END [A-Z ]*PRIVATE KEY-----' },
+    { name: 'aws-access-key', pattern: '\\b(?:AKIA|ASIA)[0-9A-Z]{16}\\b' },
+    { name: 'github-token', pattern: '\\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\\b' },
+    { name: 'slack-token', pattern: '\\bxox[abprs]-[A-Za-z0-9-]{10,}' },
+    { name: 'ai-api-key', pattern: '\\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}' },
+    { name: 'google-api-key', pattern: '\\bAIza[0-9A-Za-z_-]{35}\\b' },
+    { name: 'jwt', pattern: '\\beyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}' },
+    { name: 'bearer-token', pattern: '\\bBearer\\s+[A-Za-z0-9._~+/-]{20,}=*' },
+    { name: 'url-credentials', pattern: '\\b[a-z][a-z0-9+.-]*://[^\\s/:@]+:[^\\s/@]+@', flags: 'gi' },
+    { name: 'credential-assignment', pattern: '\\b(?:password|passwd|pwd|secret|token|api[_-]?key)\\s*[:=]\\s*[^\\s,;]{6,}', flags: 'gi' }
+];
+
+const PLACEHOLDER_PATTERN = /\[\[R(\d+)\]\]/g;
+
+class Redactor {
+    constructor(options = {}) {
+        const builtIn = options.builtIn !== false
+            ? BUILT_IN_DETECTORS.map(rule => ({ ...rule, restore: false, builtIn: true }))
+            : [];
+
+        const custom = (options.rules || []).map(rule => ({
+            restore: true,
+            ...rule,
+            builtIn: false
+        }));
+
+        this.rules = [...builtIn, ...custom].map(rule => {
+            const flags = rule.flags || 'g';
+            return {
+                ...rule,
+                replacement: rule.replacement || '[redacted]',
+                regex: new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`)
+            };
+        });
+
+        // placeholder -> { placeholder, original, rule, restore, replacement }
+        this.redactions = [];
+    }
+
+    /**
+     * Replace every match of every rule with a placeholder
+     */
+    redact(text) {
+        let result = String(text);
+        for (const rule of this.rules) {
+            result = result.replace(rule.regex, match => this.placeholderFor(match, rule));
+        }
+        return result;
+    }
+
+    /**
+     * Put original values back (or the rule's replacement) in place of placeholders
+     */
+    restore(text) {
+        return String(text).replace(PLACEHOLDER_PATTERN, placeholder => {
+            const redaction = this.redactions.find(r => r.placeholder === placeholder);
+            if (!redaction) {
+                return placeholder;
+            }
+            return redaction.restore ? redaction.original : redaction.replacement;
+        });
+    }
+
+    /**
+     * Get the placeholder for a value, reusing it when the same value shows up again
+     */
+    placeholderFor(original, rule) {
+        const existing = this.redactions.find(r => r.original === original);
+        if (existing) {
+            return existing.placeholder;
+        }
+
+        const placeholder = `[[R${this.redactions.length + 1}]]`;
+        this.redactions.push({
+            placeholder,
+            original,
+            rule: rule.name,
+            restore: Boolean(rule.restore),
+            replacement: rule.replacement
+        });
+        return placeholder;
+    }
+
+    /**
+     * Describe what was redacted without revealing the values, for the audit log
+     */
+    getAuditEntries() {
+        return this.redactions.map(redaction => ({
+            rule: redaction.rule,
+            placeholder: redaction.placeholder,
+            length: redaction.original.length,
+            preview: this.mask(redaction.original),
+            restored: redaction.restore
+        }));
+    }
+
+    /**
+     * Mask a value, keeping only its first two characters
+     */
+    mask(value) {
+        return `${value.slice(0, 2)}${'*'.repeat(Math.min(Math.max(value.length - 2, 0), 8))}`;
+    }
+}
+
+Redactor.BUILT_IN_DETECTORS = BUILT_IN_DETECTORS;
+
+module.exports = Redactor;
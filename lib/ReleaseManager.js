@@ -1,29 +1,56 @@
 /**
  * Release Manager - Handles version bumping and release creation
+ *
+ * In a workspaces monorepo only the packages with changes are released,
+ * together with the packages that depend on them, in a single commit with
+ * one `name@version` tag per package.
  */
 
-const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const semver = require('semver');
+const fastGlob = require('fast-glob');
 const ChangelogManager = require('./ChangelogManager');
+const ChangelogBuilder = require('./ChangelogBuilder');
+const ChangelogExporter = require('./ChangelogExporter');
+const { ReleaseError } = require('./errors');
+const Monorepo = require('./Monorepo');
+const VersionDoctor = require('./VersionDoctor');
+const { detectPublisher, createPublisher } = require('./publishers');
+const { JsonVersionFile, createVersionFile } = require('./versionFiles');
+const { splitFrontmatter, formatFrontmatter } = require('./frontmatter');
 
 class ReleaseManager {
     constructor(config = {}) {
+        // ChangelogManager merges changelog.config.json with the given config,
+        // so release settings (versionFiles, preid, ...) come from the same place
+        this.changelogManager = new ChangelogManager(config);
+        const sharedConfig = this.changelogManager.config;
+
         this.config = {
-            projectRoot: config.projectRoot || process.cwd(),
-            changelogDir: config.changelogDir || 'changelog/releases',
-            draftFileName: config.draftFileName || 'draft.md',
-            packageJsonPath: config.packageJsonPath || 'package.json',
-            githubToken: config.githubToken || process.env.GITHUB_TOKEN,
-            githubRepository: config.githubRepository || process.env.GITHUB_REPOSITORY,
-            ...config
+            ...sharedConfig,
+            projectRoot: sharedConfig.projectRoot,
+            changelogDir: sharedConfig.changelogDir || 'changelog/releases',
+            draftFileName: sharedConfig.draftFileName || 'draft.md',
+            packageJsonPath: sharedConfig.packageJsonPath || 'package.json',
+            preid: sharedConfig.preid || 'rc',
+            remote: sharedConfig.remote || 'origin',
+            allowDirty: Boolean(sharedConfig.allowDirty),
+            githubToken: sharedConfig.githubToken || process.env.GITHUB_TOKEN,
+            githubRepository: sharedConfig.githubRepository || process.env.GITHUB_REPOSITORY
         };
         
-        this.changelogManager = new ChangelogManager(this.config);
+        // Share the changelog manager's workspace so dry runs see every pending change
+        this.workspace = this.changelogManager.workspace;
         this.packageJsonFullPath = path.resolve(this.config.projectRoot, this.config.packageJsonPath);
         this.changelogDir = path.resolve(this.config.projectRoot, this.config.changelogDir);
+
+        // URL helpers for release templates, e.g. {{compareUrl previousTag tag}}
+        const templateEngine = this.changelogManager.templateEngine;
+        templateEngine.registerHelper('compareUrl', (from, to) => this.getPublisher() && this.getPublisher().getCompareUrl(from, to));
+        templateEngine.registerHelper('tagUrl', tag => this.getPublisher() && this.getPublisher().getTagUrl(tag));
+        templateEngine.registerHelper('commitUrl', sha => this.getPublisher() && this.getPublisher().getCommitUrl(sha));
     }
 
     /**
@@ -31,7 +58,7 @@ class ReleaseManager {
      */
     async getCurrentVersion() {
         try {
-            const packageJson = JSON.parse(await fs.readFile(this.packageJsonFullPath, 'utf8'));
+            const packageJson = JSON.parse(await this.workspace.readFile(this.packageJsonFullPath, 'utf8'));
             return packageJson.version || '0.0.0';
         } catch (error) {
             console.warn('Could not read package.json, defaulting to 0.0.0');
@@ -40,71 +67,219 @@ class ReleaseManager {
     }
 
     /**
-     * Bump version using semver
+     * Bump version using semver. Pre-release types use the configured preid,
+     * and `promote` turns a pre-release into its final version.
      */
     bumpVersion(version, type) {
+        if (type === 'promote') {
+            const parsed = semver.parse(version);
+            if (!parsed || parsed.prerelease.length === 0) {
+                throw new Error(`Cannot promote ${version}: it is not a pre-release version`);
+            }
+            return `${parsed.major}.${parsed.minor}.${parsed.patch}`;
+        }
+
+        if (type.startsWith('pre')) {
+            return semver.inc(version, type, this.config.preid);
+        }
+
         return semver.inc(version, type);
     }
 
     /**
-     * Update package.json with new version
+     * Check whether a version is a pre-release
      */
-    async updatePackageJson(newVersion) {
+    isPrerelease(version) {
+        return semver.prerelease(version) !== null;
+    }
+
+    /**
+     * Roll the notes of every pre-release of a version up into the draft,
+     * so the final release file lists everything that shipped in its rcs
+     */
+    async rollUpPrereleases(finalVersion) {
+        const prereleases = (await this.changelogManager.getReleaseFiles())
+            .filter(v => v.semver.prerelease.length > 0 &&
+                `${v.semver.major}.${v.semver.minor}.${v.semver.patch}` === finalVersion);
+
+        if (prereleases.length === 0) {
+            console.log(`No pre-release notes found for ${finalVersion}`);
+            return;
+        }
+
+        const draftPath = path.join(this.changelogDir, this.config.draftFileName);
+        let content;
         try {
-            const packageData = JSON.parse(await fs.readFile(this.packageJsonFullPath, 'utf8'));
-            packageData.version = newVersion;
-            await fs.writeFile(this.packageJsonFullPath, JSON.stringify(packageData, null, 2) + '\n');
-            console.log(`Updated package.json to version ${newVersion}`);
-        } catch (error) {
-            console.warn('Could not update package.json:', error.message);
+            content = await this.workspace.readFile(draftPath, 'utf8');
+        } catch {
+            await this.changelogManager.createUnreleasedFile(draftPath);
+            content = await this.workspace.readFile(draftPath, 'utf8');
+        }
+
+        const lines = content.split('\n');
+        const unreleasedIndex = this.changelogManager.findUnreleasedIndex(lines);
+        const sections = this.changelogManager.getSections();
+        const defaultSection = (sections.find(s => s.default) || sections[sections.length - 1]).title;
+
+        // Newest pre-release first, each appended below the draft's own entries
+        for (const prerelease of prereleases) {
+            const entries = await this.changelogManager.getEntriesBySection(path.join(this.changelogDir, prerelease.file));
+            const grouped = new Map();
+
+            for (const entry of entries) {
+                const section = entry.section || defaultSection;
+                if (!grouped.has(section)) {
+                    grouped.set(section, []);
+                }
+                grouped.get(section).push(entry.line);
+            }
+
+            for (const [section, entryLines] of grouped) {
+                this.changelogManager.insertIntoSection(lines, unreleasedIndex, section, entryLines, true);
+            }
         }
+
+        await this.workspace.writeFile(draftPath, lines.join('\n'));
+        console.log(`Rolled up notes from ${prereleases.map(p => p.version).join(', ')}`);
     }
 
     /**
-     * Update additional version files if specified in config
+     * Work out the bump type from commits, draft entries and fragments since the last tag.
+     * Returns the bump type along with the reasons that decided it.
      */
-    async updateAdditionalFiles(newVersion) {
-        if (this.config.versionFiles) {
-            for (const fileConfig of this.config.versionFiles) {
-                try {
-                    const filePath = path.resolve(this.config.projectRoot, fileConfig.path);
-                    let content = await fs.readFile(filePath, 'utf8');
-                    
-                    if (fileConfig.pattern) {
-                        // Replace using regex pattern
-                        const regex = new RegExp(fileConfig.pattern, 'g');
-                        content = content.replace(regex, fileConfig.replacement.replace('{{version}}', newVersion));
-                    } else if (fileConfig.jsonPath) {
-                        // Update JSON path
-                        const data = JSON.parse(content);
-                        this.setNestedProperty(data, fileConfig.jsonPath, newVersion);
-                        content = JSON.stringify(data, null, 2) + '\n';
-                    }
-                    
-                    await fs.writeFile(filePath, content);
-                    console.log(`Updated ${fileConfig.path} to version ${newVersion}`);
-                } catch (error) {
-                    console.warn(`Could not update ${fileConfig.path}:`, error.message);
-                }
+    async inferBumpType() {
+        const levels = ['patch', 'minor', 'major'];
+        const reasons = [];
+        const sections = this.changelogManager.getSections();
+
+        const latestTag = this.changelogManager.getLatestTag();
+        const commits = await this.changelogManager.getCommitsSinceTag(latestTag);
+        const seenCommits = new Map();
+
+        for (const commit of commits) {
+            const bump = this.changelogManager.getBumpForCommit(this.changelogManager.parseCommit(commit.message, commit.body));
+            seenCommits.set(commit.hash, bump);
+
+            if (bump) {
+                reasons.push({ bump, source: 'commit', ref: commit.hash.substring(0, 7), description: commit.message });
             }
         }
+
+        // Draft entries are already grouped, so their section tells us the bump
+        const bumpForSection = title => {
+            const section = sections.find(s => s.title === title);
+            if (section && section.breaking) {
+                return 'major';
+            }
+            if (section && (section.types || []).includes('feat')) {
+                return 'minor';
+            }
+            return section && (section.types || []).includes('fix') ? 'patch' : null;
+        };
+
+        const draftPath = path.join(this.changelogDir, this.config.draftFileName);
+        for (const entry of await this.changelogManager.getEntriesBySection(draftPath)) {
+            if (entry.commit && seenCommits.has(entry.commit)) {
+                // Already counted from its commit
+                continue;
+            }
+
+            const bump = bumpForSection(entry.section);
+            if (bump) {
+                reasons.push({ bump, source: 'draft', ref: this.config.draftFileName, description: entry.text.replace(/^- /, '') });
+            }
+        }
+
+        // A fragment's own bump level wins; without one its category decides
+        for (const fragment of await this.changelogManager.readFragments()) {
+            if (fragment.commit && seenCommits.has(fragment.commit) &&
+                (!fragment.bump || fragment.bump === seenCommits.get(fragment.commit))) {
+                // Already counted from its commit
+                continue;
+            }
+
+            const bump = fragment.bump || bumpForSection(fragment.category);
+            if (bump && bump !== 'none') {
+                reasons.push({ bump, source: 'fragment', ref: fragment.file, description: fragment.text });
+            }
+        }
+
+        const bumpType = reasons.reduce(
+            (highest, reason) => (levels.indexOf(reason.bump) > levels.indexOf(highest) ? reason.bump : highest),
+            'patch'
+        );
+
+        return {
+            bumpType,
+            latestTag,
+            reasons: reasons.filter(reason => reason.bump === bumpType)
+        };
     }
 
     /**
-     * Set nested property in object using dot notation
+     * Update package.json with new version, keeping its formatting
      */
-    setNestedProperty(obj, path, value) {
-        const keys = path.split('.');
-        let current = obj;
-        
-        for (let i = 0; i < keys.length - 1; i++) {
-            if (!(keys[i] in current)) {
-                current[keys[i]] = {};
+    async updatePackageJson(newVersion) {
+        const content = await this.workspace.readFile(this.packageJsonFullPath, 'utf8');
+        const packageData = JSON.parse(content);
+        const updated = packageData.version !== undefined
+            ? new JsonVersionFile({ path: this.config.packageJsonPath, key: ['version'] }).update(content, newVersion)
+            : JSON.stringify({ ...packageData, version: newVersion }, null, 2) + '\n';
+
+        await this.workspace.writeFile(this.packageJsonFullPath, updated);
+        console.log(`Updated ${this.config.packageJsonPath} to version ${newVersion}`);
+    }
+
+    /**
+     * Update the additional version files listed in `versionFiles`
+     * (see lib/versionFiles for the supported formats)
+     */
+    async updateAdditionalFiles(newVersion) {
+        for (const fileConfig of this.config.versionFiles || []) {
+            await this.updateVersionFile(fileConfig, newVersion);
+        }
+    }
+
+    /**
+     * Write a version to one `versionFiles` entry
+     */
+    async updateVersionFile(fileConfig, newVersion) {
+        const versionFile = createVersionFile(fileConfig);
+        const filePath = path.resolve(this.config.projectRoot, fileConfig.path);
+        let content;
+        try {
+            content = await this.workspace.readFile(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read ${fileConfig.path}: ${error.message}`);
+        }
+
+        await this.workspace.writeFile(filePath, versionFile.update(content, newVersion));
+        console.log(`Updated ${fileConfig.path} to version ${newVersion}`);
+    }
+
+    /**
+     * Check that package.json, version files, tags, release files and the
+     * draft agree on the version (see VersionDoctor)
+     */
+    async checkVersions() {
+        const { problems } = await new VersionDoctor(this).diagnoseProject(null);
+        return problems.map(problem => `${problem.message} (${problem.fix ? 'run changelog-doctor --fix' : 'see changelog-doctor'})`);
+    }
+
+    /**
+     * Check that every version file can be updated, before anything changes
+     */
+    async checkVersionFiles(newVersion) {
+        const failures = [];
+        for (const fileConfig of this.config.versionFiles || []) {
+            try {
+                const filePath = path.resolve(this.config.projectRoot, fileConfig.path);
+                createVersionFile(fileConfig).update(await this.workspace.readFile(filePath, 'utf8'), newVersion);
+            } catch (error) {
+                failures.push(error.code === 'ENOENT' ? `Version file ${fileConfig.path} does not exist` : error.message);
             }
-            current = current[keys[i]];
         }
-        
-        current[keys[keys.length - 1]] = value;
+        return failures;
     }
 
     /**
@@ -114,150 +289,411 @@ class ReleaseManager {
         const draftPath = path.join(this.changelogDir, this.config.draftFileName);
         const newFilePath = path.join(this.changelogDir, `${newVersion}.md`);
         
+        let content;
         try {
-            let content = await fs.readFile(draftPath, 'utf8');
-            
-            // Update frontmatter
-            content = content.replace(/^---\n([\s\S]*?)---\n/, (match, frontmatter) => {
-                const lines = frontmatter.split('\n');
-                const updatedLines = lines.map(line => {
-                    if (line.startsWith('version:')) {
-                        return `version: ${newVersion}`;
-                    }
-                    if (line.startsWith('date:')) {
-                        return `date: ${new Date().toISOString().split('T')[0]}`;
-                    }
-                    if (line.startsWith('tag:') && line.trim() === 'tag:') {
-                        return `tag: v${newVersion}`;
-                    }
-                    return line;
-                });
-                return `---\n${updatedLines.join('\n')}\n---\n`;
+            content = await this.workspace.readFile(draftPath, 'utf8');
+        } catch {
+            content = null;
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+        const previousTag = await this.getPreviousTag(newVersion);
+        const commitRange = this.getCommitRange(previousTag);
+        const context = {
+            version: newVersion,
+            date,
+            tag: this.changelogManager.formatTag(newVersion),
+            previousTag,
+            notes: '',
+            sections: []
+        };
+        const metadata = {
+            version: newVersion,
+            date,
+            tag: context.tag,
+            prerelease: this.isPrerelease(newVersion),
+            commitRange: commitRange || undefined
+        };
+
+        if (content !== null) {
+            const release = await this.changelogManager.readRelease(draftPath);
+            const contributors = [...new Set([...release.contributors, ...this.getContributors(commitRange)])];
+
+            // Entries keep their markers and the Markdown written below them, so a
+            // template looping over sections reproduces the draft's content
+            const body = await this.changelogManager.renderTemplate('release', {
+                ...release.frontmatter,
+                ...context,
+                ...metadata,
+                tag: release.tag || context.tag,
+                contributors,
+                notes: release.notes,
+                sections: release.sections
             });
-            
-            // Remove **Unreleased** section header but keep content
-            content = content.replace(/## \*\*Unreleased\*\*\n\n/, '');
-            
-            await fs.writeFile(newFilePath, content);
-            await fs.unlink(draftPath);
+
+            // Update frontmatter, keeping any other keys (codename, summary, ...)
+            const { block } = splitFrontmatter(content);
+            content = this.changelogManager.updateFrontmatter(block ? `${block}\n${body}` : body, {
+                ...metadata,
+                tag: release.tag || context.tag,
+                contributors: contributors.length > 0 ? contributors : undefined
+            });
+
+            await this.workspace.writeFile(newFilePath, content);
+            await this.workspace.unlink(draftPath);
             
             console.log(`Renamed draft to ${newVersion}.md`);
-        } catch (error) {
-            console.warn('Could not rename draft file:', error.message);
+        } else {
+            console.warn('No draft file found, creating a basic release file');
             // Create a basic release file if draft doesn't exist
-            const basicContent = `---
-version: ${newVersion}
-date: ${new Date().toISOString().split('T')[0]}
-tag: v${newVersion}
----
+            const contributors = this.getContributors(commitRange);
+            const body = await this.changelogManager.renderTemplate('release', { ...context, ...metadata, contributors });
+            const frontmatter = formatFrontmatter({
+                ...metadata,
+                contributors: contributors.length > 0 ? contributors : undefined
+            });
+            await this.workspace.writeFile(newFilePath, `${frontmatter}\n${body}`);
+            console.log(`Created basic release file: ${newVersion}.md`);
+        }
+    }
 
-# Release ${newVersion}
+    /**
+     * Get the commits a release covers: { from: previous tag (null for the
+     * first release), to: HEAD }, or null outside a git repository
+     */
+    getCommitRange(previousTag) {
+        try {
+            const to = this.readGit(['rev-parse', 'HEAD']);
+            let from = null;
+            if (previousTag) {
+                try {
+                    this.readGit(['rev-parse', '-q', '--verify', `refs/tags/${previousTag}`]);
+                    from = previousTag;
+                } catch {
+                    // The previous release was never tagged here; the range starts at the root
+                }
+            }
+            return { from, to };
+        } catch {
+            return null;
+        }
+    }
 
-- Release ${newVersion}
-`;
-            await fs.writeFile(newFilePath, basicContent);
-            console.log(`Created basic release file: ${newVersion}.md`);
+    /**
+     * Get the commit authors in a commit range, in order of first contribution
+     */
+    getContributors(commitRange) {
+        if (!commitRange) {
+            return [];
+        }
+
+        const range = commitRange.from ? `${commitRange.from}..${commitRange.to}` : commitRange.to;
+        const paths = this.config.paths || [];
+        try {
+            const authors = this.readGit(['log', '--reverse', '--no-merges', '--format=%aN', range, ...(paths.length > 0 ? ['--', ...paths] : [])])
+                .split('\n').map(author => author.trim()).filter(Boolean);
+            return [...new Set(authors)];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Get the tag of the highest release below a version (null for the first release).
+     * A final release skips its own pre-releases, since it rolls their notes up.
+     */
+    async getPreviousTag(version) {
+        const parsed = semver.parse(version);
+        const isPrevious = candidate => semver.lt(candidate, version) && !(
+            parsed.prerelease.length === 0 &&
+            semver.prerelease(candidate) !== null &&
+            `${semver.major(candidate)}.${semver.minor(candidate)}.${semver.patch(candidate)}` === version
+        );
+
+        const previous = (await this.changelogManager.getReleaseFiles()).find(release => isPrevious(release.version));
+        if (previous) {
+            return this.changelogManager.formatTag(previous.version);
+        }
+
+        // Without an earlier release file, look at the tags (e.g. releases made before adopting this tool)
+        const prefix = this.changelogManager.getTagPrefix();
+        try {
+            const versions = this.readGit(['tag', '-l', `${prefix}*`])
+                .split('\n')
+                .map(tag => tag.slice(prefix.length))
+                .filter(candidate => semver.valid(candidate) && isPrevious(candidate))
+                .sort(semver.rcompare);
+            return versions.length > 0 ? this.changelogManager.formatTag(versions[0]) : null;
+        } catch {
+            return null;
         }
     }
 
+    /**
+     * Run a git command that changes the repository (only printed in dry-run mode).
+     * The arguments are passed to git without going through the shell.
+     */
+    runGit(args) {
+        if (this.workspace.dryRun) {
+            console.log(`[dry-run] Would run: ${formatCommand(['git', ...args])}`);
+            return '';
+        }
+        return execFileSync('git', args, { cwd: this.config.projectRoot, encoding: 'utf8', stdio: 'pipe' });
+    }
+
+    /**
+     * Get the commit message used for a release
+     */
+    getReleaseCommitMessage(version) {
+        return this.changelogManager.config.releaseCommitMessage.replace('{{version}}', version);
+    }
+
     /**
      * Create git tag
      */
     async createGitTag(version) {
+        const tag = this.changelogManager.formatTag(version);
+        this.runGit(['tag', tag]);
+        if (!this.workspace.dryRun) {
+            console.log(`Created git tag: ${tag}`);
+        }
+    }
+
+    /**
+     * Commit every file the release touched
+     */
+    async commitRelease(version) {
+        // A file that is gone and was never committed (e.g. a merged fragment) can't be staged
+        const files = [...this.workspace.originals.keys()]
+            .filter(file => this.workspace.dryRun || fsSync.existsSync(file) || this.isTracked(file))
+            .map(file => path.relative(this.config.projectRoot, file));
+        this.runGit(['add', '-A', '--', ...files]);
         try {
-            execSync(`git tag v${version}`, { 
-                cwd: this.config.projectRoot,
-                stdio: 'pipe'
-            });
-            console.log(`Created git tag: v${version}`);
+            this.runGit(['commit', '-m', this.getReleaseCommitMessage(version)]);
         } catch (error) {
-            console.warn(`Could not create git tag v${version}:`, error.message);
+            // Leave the index as it was so the file restore is complete
+            this.runGit(['reset', '-q', '--', ...files]);
+            throw error;
+        }
+        if (!this.workspace.dryRun) {
+            console.log(`Committed release ${version}`);
         }
     }
 
     /**
-     * Commit and push changes
+     * Check whether git tracks a file
      */
-    async commitAndPush(version) {
+    isTracked(file) {
         try {
-            execSync('git add .', { cwd: this.config.projectRoot });
-            execSync(`git commit -m "Release ${version}"`, { cwd: this.config.projectRoot });
-            execSync('git push', { cwd: this.config.projectRoot });
-            execSync('git push --tags', { cwd: this.config.projectRoot });
+            return Boolean(this.readGit(['ls-files', '--', path.relative(this.config.projectRoot, file)]));
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Push the release commit and tag together, so either both land or neither does
+     */
+    async pushRelease(version) {
+        await this.pushTags([this.changelogManager.formatTag(version)]);
+    }
+
+    /**
+     * Push the release commit and its tags together, so either all land or none do
+     */
+    async pushTags(tags) {
+        this.runGit(['push', '--atomic', this.config.remote, 'HEAD', ...tags.map(tag => `refs/tags/${tag}`)]);
+        if (!this.workspace.dryRun) {
             console.log('Changes committed and pushed to repository');
-        } catch (error) {
-            console.warn('Could not commit and push changes:', error.message);
         }
     }
 
     /**
-     * Create GitHub release
+     * Get the publisher for the release host, from config or the remote URL
      */
-    async createGithubRelease(version) {
-        if (!this.config.githubToken || !this.config.githubRepository) {
-            console.log('GitHub token or repository not configured, skipping GitHub release');
-            return;
+    getPublisher() {
+        if (this.publisher !== undefined) {
+            return this.publisher;
         }
 
+        const options = this.config.publisher || {};
+
+        let remoteUrl = '';
         try {
-            const releaseFilePath = path.join(this.changelogDir, `${version}.md`);
-            const releaseNotes = await fs.readFile(releaseFilePath, 'utf8');
-            
-            // Extract content after frontmatter
-            const contentMatch = releaseNotes.match(/^---\n[\s\S]*?---\n([\s\S]*)$/);
-            const body = contentMatch ? contentMatch[1].trim() : `Release ${version}`;
-
-            const https = require('https');
-            const data = JSON.stringify({
-                tag_name: `v${version}`,
-                name: `v${version}`,
-                body: body,
-                draft: false,
-                prerelease: false
-            });
+            remoteUrl = this.readGit(['remote', 'get-url', this.config.remote]);
+        } catch {
+            // No remote; the publisher must be fully configured
+        }
 
-            const options = {
-                hostname: 'api.github.com',
-                path: `/repos/${this.config.githubRepository}/releases`,
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.githubToken}`,
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'changelog-manager',
-                    'Content-Length': data.length
-                }
-            };
-
-            return new Promise((resolve, reject) => {
-                const req = https.request(options, (res) => {
-                    let responseData = '';
-                    res.on('data', (chunk) => {
-                        responseData += chunk;
-                    });
-                    res.on('end', () => {
-                        if (res.statusCode >= 200 && res.statusCode < 300) {
-                            console.log(`GitHub release created successfully: v${version}`);
-                            resolve();
-                        } else {
-                            console.error(`GitHub API error: ${res.statusCode} ${responseData}`);
-                            reject(new Error(`GitHub API error: ${res.statusCode}`));
-                        }
-                    });
-                });
+        let detected = detectPublisher(remoteUrl) || {};
+        let type = options.type || detected.type;
 
-                req.on('error', (error) => {
-                    console.error('Error creating GitHub release:', error);
-                    reject(error);
-                });
+        // githubToken / githubRepository predate the publisher config and imply
+        // github.com when the remote isn't a recognised host
+        if (!type && (this.config.githubToken || this.config.githubRepository)) {
+            type = 'github';
+            detected = {};
+        }
+
+        if (!type) {
+            this.publisher = null;
+            return null;
+        }
 
-                req.write(data);
-                req.end();
+        // ...and still fill in the GitHub token and repository
+        const legacy = type === 'github'
+            ? { token: this.config.githubToken, repository: this.config.githubRepository }
+            : {};
+
+        this.publisher = createPublisher(type, {
+            ...options,
+            host: options.host || detected.host,
+            token: options.token || legacy.token,
+            repository: options.repository || legacy.repository || detected.repository
+        });
+        return this.publisher;
+    }
+
+    /**
+     * Render the release body published to the release host for a version
+     */
+    async getReleaseNotes(version) {
+        const release = await this.changelogManager.readRelease(path.join(this.changelogDir, `${version}.md`));
+        const tag = release.tag || this.changelogManager.formatTag(version);
+        const previousTag = await this.getPreviousTag(version);
+        const publisher = this.getPublisher();
+
+        const body = await this.changelogManager.renderTemplate('releaseBody', {
+            ...release.frontmatter,
+            ...release,
+            version,
+            tag,
+            previousTag,
+            compareUrl: previousTag && publisher ? publisher.getCompareUrl(previousTag, tag) : null
+        });
+
+        return body.trim() || `Release ${version}`;
+    }
+
+    /**
+     * Compile every release file into the aggregate changelog (CHANGELOG.md).
+     * In a monorepo each package gets its own; the output paths are returned.
+     */
+    async buildChangelog() {
+        if (this.getMonorepo()) {
+            const outputs = [];
+            for (const pkg of await this.getMonorepo().getPackages()) {
+                outputs.push(await this.forPackage(pkg).buildChangelog());
+            }
+            return outputs;
+        }
+
+        const builder = new ChangelogBuilder(this.changelogManager, { publisher: this.getPublisher() });
+        const outputPath = await builder.build();
+        if (!this.workspace.dryRun) {
+            console.log(`Built ${path.relative(this.config.projectRoot, outputPath)}`);
+        }
+        return outputPath;
+    }
+
+    /**
+     * Export the release files as json, rss, atom or html
+     */
+    async exportChangelog(format = 'json', options = {}) {
+        const exporter = new ChangelogExporter(this.changelogManager, { publisher: this.getPublisher(), ...options });
+        return exporter.export(format);
+    }
+
+    /**
+     * Find the files to attach to a release, from the `publisher.assets` globs
+     */
+    async getReleaseAssets() {
+        const patterns = (this.config.publisher && this.config.publisher.assets) || [];
+        if (patterns.length === 0) {
+            return [];
+        }
+
+        // A workspace package's assets are relative to the package
+        const files = await fastGlob(patterns, {
+            cwd: this.config.package ? this.config.package.dir : this.config.projectRoot,
+            onlyFiles: true,
+            dot: true
+        });
+
+        return files.sort().map(file => ({
+            name: path.basename(file),
+            path: path.resolve(this.config.package ? this.config.package.dir : this.config.projectRoot, file)
+        }));
+    }
+
+    /**
+     * Publish the release notes (and configured assets) to the release host.
+     * Creates the release, or updates the notes if the tag already has one.
+     */
+    async publishRelease(version, options = {}) {
+        const publisher = this.getPublisher();
+        if (!publisher || !publisher.isConfigured()) {
+            console.log('Release host, token or repository not configured, skipping publishing');
+            return;
+        }
+
+        const metadata = await this.changelogManager.readRelease(path.join(this.changelogDir, `${version}.md`));
+        const tag = metadata.tag || this.changelogManager.formatTag(version);
+        const release = {
+            version,
+            tag,
+            name: metadata.codename ? `${tag} (${metadata.codename})` : tag,
+            body: await this.getReleaseNotes(version),
+            prerelease: metadata.prerelease
+        };
+        const assets = options.assets === false ? [] : await this.getReleaseAssets();
+
+        if (this.workspace.dryRun) {
+            console.log(`[dry-run] Would publish to ${publisher.describe()} (updating the release if ${release.tag} already has one):`);
+            console.log(publisher.formatRequest(publisher.buildCreateRequest(release)));
+            assets.forEach(asset => console.log(`[dry-run] Would upload asset: ${path.relative(this.config.projectRoot, asset.path)}`));
+            return;
+        }
+
+        const { created, release: published } = await publisher.publish(release);
+        const action = created === false ? 'Updated' : 'Published';
+        console.log(`${action} release ${release.tag} on ${publisher.describe()}`);
+
+        for (const asset of assets) {
+            await publisher.uploadAsset(published, {
+                name: asset.name,
+                content: fsSync.readFileSync(asset.path)
             });
-        } catch (error) {
-            console.warn('Could not create GitHub release:', error.message);
+            console.log(`Uploaded asset ${asset.name}`);
         }
     }
 
+    /**
+     * Merge the pending entry fragments into the draft and delete them
+     */
+    async mergeFragments() {
+        const fragments = await this.changelogManager.readFragments();
+        if (fragments.length === 0) {
+            console.log('No entry fragments to merge');
+            return;
+        }
+
+        const draftPath = path.join(this.changelogDir, this.config.draftFileName);
+        let content;
+        try {
+            content = await this.workspace.readFile(draftPath, 'utf8');
+        } catch {
+            await this.changelogManager.createUnreleasedFile(draftPath);
+            content = await this.workspace.readFile(draftPath, 'utf8');
+        }
+
+        await this.workspace.writeFile(draftPath, this.changelogManager.mergeFragments(content, fragments));
+        for (const fragment of fragments) {
+            await this.changelogManager.getFragmentStore().remove(fragment);
+        }
+        console.log(`Merged ${fragments.length} entry fragments into ${this.config.draftFileName}`);
+    }
+
     /**
      * Start new draft
      */
@@ -266,69 +702,586 @@ tag: v${newVersion}
         
         // Get next version for the draft
         const nextVersion = await this.changelogManager.getNextVersion('patch');
+        const content = await this.changelogManager.renderDraft(nextVersion);
         
-        const content = `---
-version: ${nextVersion}
-date: ${new Date().toISOString().split('T')[0]}
-tag: 
----
+        await this.workspace.writeFile(draftPath, content);
+        console.log('Started new draft changelog');
+    }
 
-# Release ${nextVersion}
+    /**
+     * Get the workspaces monorepo, or null when `workspaces` isn't configured
+     */
+    getMonorepo() {
+        return this.changelogManager.getMonorepo();
+    }
 
-## **Unreleased**
+    /**
+     * Get a release manager for one workspace package, sharing this manager's
+     * workspace, publisher and AI provider
+     */
+    forPackage(pkg) {
+        const manager = new ReleaseManager({
+            ...this.config,
+            ...this.changelogManager.getPackageConfig(pkg),
+            packageJsonPath: pkg.packageJsonPath,
+            changelogFile: path.join(pkg.relativeDir, this.config.changelogFile || 'CHANGELOG.md'),
+            versionFiles: []
+        });
+        manager.workspace = this.workspace;
+        manager.changelogManager.workspace = this.workspace;
+        manager.changelogManager.aiProvider = this.changelogManager.getAIProvider();
+        manager.publisher = this.getPublisher();
+        return manager;
+    }
 
-<!-- New entries will be added here -->
+    /**
+     * Check whether there is anything to release: draft entries, fragments,
+     * or commits since the last release tag
+     */
+    async hasChanges() {
+        const draftPath = path.join(this.changelogDir, this.config.draftFileName);
+        if ((await this.changelogManager.getEntriesBySection(draftPath)).length > 0) {
+            return true;
+        }
+        if ((await this.changelogManager.readFragments()).length > 0) {
+            return true;
+        }
+        const commits = await this.changelogManager.getCommitsSinceTag(this.changelogManager.getLatestTag());
+        return commits.length > 0;
+    }
 
-`;
-        
-        await fs.writeFile(draftPath, content);
-        console.log('Started new draft changelog');
+    /**
+     * Work out which packages a monorepo release bumps: every package with
+     * changes (limited to `options.packages` when given), then every package
+     * that depends on one of them, which gets a patch release.
+     * Returns [{ pkg, manager, reason, bumpType, currentVersion, newVersion, tag,
+     * reasons, dependsOn }], where `reasons` are the changes an `auto` bump was
+     * inferred from and `dependsOn` names the released packages a dependent uses.
+     */
+    async planPackageRelease(bumpType, options = {}) {
+        const monorepo = this.getMonorepo();
+        const candidates = options.packages && options.packages.length > 0
+            ? await Promise.all(options.packages.map(name => monorepo.getPackage(name)))
+            : await monorepo.getPackages();
+
+        const plan = [];
+        const addToPlan = async (pkg, manager, type, reason, details = {}) => {
+            const currentVersion = await manager.getCurrentVersion();
+            const newVersion = manager.bumpVersion(currentVersion, type);
+            plan.push({
+                pkg,
+                manager,
+                reason,
+                bumpType: type,
+                currentVersion,
+                newVersion,
+                tag: manager.changelogManager.formatTag(newVersion),
+                reasons: details.reasons || [],
+                dependsOn: details.dependsOn || []
+            });
+        };
+
+        for (const pkg of candidates) {
+            const manager = this.forPackage(pkg);
+            // Promoting applies to every package that is in pre-release
+            const changed = bumpType === 'promote'
+                ? manager.isPrerelease(await manager.getCurrentVersion())
+                : await manager.hasChanges();
+            if (!changed) {
+                continue;
+            }
+
+            if (bumpType === 'auto') {
+                const inferred = await manager.inferBumpType();
+                await addToPlan(pkg, manager, inferred.bumpType, 'changed', { reasons: inferred.reasons });
+            } else {
+                await addToPlan(pkg, manager, bumpType, 'changed');
+            }
+        }
+
+        const dependents = await monorepo.getDependents(plan.map(item => item.pkg.name));
+        const released = new Set([...plan.map(item => item.pkg.name), ...dependents.map(pkg => pkg.name)]);
+        for (const pkg of dependents) {
+            const manager = this.forPackage(pkg);
+            const type = manager.isPrerelease(await manager.getCurrentVersion()) ? 'prerelease' : 'patch';
+            const dependsOn = (await monorepo.getInternalDependencies(pkg)).filter(name => released.has(name));
+            await addToPlan(pkg, manager, type, 'dependent', { dependsOn });
+        }
+
+        return plan;
+    }
+
+    /**
+     * Add an entry listing the updated workspace dependencies to a dependent's draft
+     */
+    async noteDependencyUpdates(item, plan) {
+        const dependencies = await this.getMonorepo().getInternalDependencies(item.pkg);
+        const tags = plan.filter(other => dependencies.includes(other.pkg.name)).map(other => other.tag);
+        const changelogManager = item.manager.changelogManager;
+        const sections = changelogManager.getSections();
+        const message = `Updated dependencies: ${tags.join(', ')}`;
+
+        await changelogManager.updateChangelogFile(path.join(item.manager.changelogDir, this.config.draftFileName), [{
+            message,
+            section: (sections.find(s => s.default) || sections[sections.length - 1]).title,
+            polished: `- ${message}`
+        }]);
+    }
+
+    /**
+     * Point every workspace package's dependency ranges at the new versions
+     */
+    async updateInternalDependencies(plan) {
+        const versions = new Map(plan.map(item => [item.pkg.name, item.newVersion]));
+        const monorepo = this.getMonorepo();
+        const packageJsonPaths = [
+            this.packageJsonFullPath,
+            ...(await monorepo.getPackages()).map(pkg => path.join(pkg.dir, 'package.json'))
+        ];
+
+        for (const packageJsonPath of packageJsonPaths) {
+            let content;
+            let packageData;
+            try {
+                content = await this.workspace.readFile(packageJsonPath, 'utf8');
+                packageData = JSON.parse(content);
+            } catch {
+                // The root of a monorepo doesn't need a package.json
+                continue;
+            }
+
+            // Edit the ranges in place so the file keeps its formatting
+            const updated = [];
+            for (const field of Monorepo.DEPENDENCY_FIELDS) {
+                for (const [name, range] of Object.entries(packageData[field] || {})) {
+                    const newRange = versions.has(name) ? monorepo.updateRange(range, versions.get(name)) : null;
+                    if (newRange) {
+                        content = new JsonVersionFile({ path: packageJsonPath, key: [field, name] }).update(content, newRange);
+                        updated.push(`${name}@${newRange}`);
+                    }
+                }
+            }
+
+            if (updated.length > 0) {
+                await this.workspace.writeFile(packageJsonPath, content);
+                console.log(`Updated ${path.relative(this.config.projectRoot, packageJsonPath)} dependencies: ${updated.join(', ')}`);
+            }
+        }
+    }
+
+    /**
+     * Release the changed packages of a monorepo (and their dependents) in one
+     * commit, with a `name@version` tag per package
+     */
+    async releasePackages(bumpType, options = {}) {
+        const plan = await this.planPackageRelease(bumpType, options);
+        if (plan.length === 0) {
+            console.log('✅ No package has changes to release');
+            return [];
+        }
+
+        console.log(`📦 Releasing ${plan.length} package(s):`);
+        for (const item of plan) {
+            const note = item.reason === 'dependent' ? ' (dependency update)' : '';
+            console.log(`   • ${item.pkg.name} ${item.currentVersion} → ${item.newVersion}${note}`);
+        }
+
+        // Check everything up front so a doomed release never starts
+        const failures = this.config.allowDirty
+            ? []
+            : this.checkWorkingTree(plan.flatMap(item => item.manager.getChangelogDirs()));
+        for (const item of plan) {
+            failures.push(...this.checkTagAvailable(item.tag));
+            failures.push(...(await item.manager.checkVersions()).map(failure => `${item.pkg.name}: ${failure}`));
+            if (item.reason === 'changed' && item.bumpType !== 'promote') {
+                failures.push(...(await item.manager.checkDraft()).map(failure => `${item.pkg.name}: ${failure}`));
+            }
+        }
+        if (failures.length > 0 && this.workspace.dryRun) {
+            console.warn('⚠️  Preflight checks would fail:');
+            failures.forEach(failure => console.warn(`   • ${failure}`));
+        } else if (failures.length > 0) {
+            throw new ReleaseError('Preflight checks failed', { step: 'Preflight checks', failures });
+        }
+
+        const tags = plan.map(item => item.tag);
+        const headBefore = this.workspace.dryRun ? null : this.readGit(['rev-parse', 'HEAD']);
+
+        const steps = [];
+        for (const item of plan) {
+            const name = item.pkg.name;
+            if (item.bumpType === 'promote') {
+                steps.push({ name: `Roll up ${name} pre-release notes`, run: () => item.manager.rollUpPrereleases(item.newVersion) });
+            }
+            if (item.manager.changelogManager.isFragmentMode()) {
+                steps.push({ name: `Merge ${name} entry fragments`, run: () => item.manager.mergeFragments() });
+            }
+            if (item.reason === 'dependent') {
+                steps.push({ name: `Note ${name} dependency updates`, run: () => this.noteDependencyUpdates(item, plan) });
+            }
+            steps.push({ name: `Update ${name} package.json`, run: () => item.manager.updatePackageJson(item.newVersion) });
+        }
+        steps.push({ name: 'Update internal dependencies', run: () => this.updateInternalDependencies(plan) });
+        for (const item of plan) {
+            const name = item.pkg.name;
+            steps.push(
+                { name: `Finalize ${name} release file`, run: () => item.manager.renameDraftFile(item.newVersion) },
+                { name: `Start new ${name} draft`, run: () => item.manager.startNewDraft() }
+            );
+            if (this.config.buildChangelog !== false) {
+                steps.push({ name: `Build ${name} CHANGELOG.md`, run: () => item.manager.buildChangelog() });
+            }
+        }
+        steps.push({
+            name: 'Commit release',
+            run: () => this.commitRelease(tags.join(', ')),
+            rollback: () => this.runGit(['reset', '--mixed', headBefore])
+        });
+        for (const item of plan) {
+            steps.push({
+                name: `Create git tag ${item.tag}`,
+                run: () => item.manager.createGitTag(item.newVersion),
+                rollback: () => this.runGit(['tag', '-d', item.tag])
+            });
+        }
+        steps.push({ name: 'Push to remote', run: () => this.pushTags(tags), publishes: true });
+        for (const item of plan) {
+            steps.push({ name: `Publish ${item.pkg.name} release`, run: () => item.manager.publishRelease(item.newVersion) });
+        }
+
+        await this.runSteps(steps);
+
+        if (this.workspace.dryRun) {
+            console.log(`\n🏷️  Tags that would be created: ${tags.join(', ')}`);
+            console.log(`📝 Commit that would be created: "${this.getReleaseCommitMessage(tags.join(', '))}"`);
+            await this.workspace.printDryRunReport();
+            return plan;
+        }
+
+        console.log(`✅ Released ${tags.join(', ')}`);
+        return plan;
+    }
+
+    /**
+     * Check that a release can safely run before anything is changed.
+     * Returns a list of problems (empty when everything is fine).
+     */
+    async preflight(newVersion, bumpType) {
+        const failures = [];
+
+        // Working tree must be clean, apart from pending changelog edits
+        if (!this.config.allowDirty) {
+            failures.push(...this.checkWorkingTree(this.getChangelogDirs()));
+        }
+
+        failures.push(...this.checkTagAvailable(this.changelogManager.formatTag(newVersion)));
+
+        // Every configured version file must have a version to replace
+        const versionFileFailures = await this.checkVersionFiles(newVersion);
+        failures.push(...versionFileFailures);
+
+        // Releasing on top of versions that disagree would only spread the mismatch
+        // (unreadable version files are already reported above)
+        failures.push(...(await this.checkVersions())
+            .filter(failure => !versionFileFailures.some(reported => failure.startsWith(reported))));
+
+        // A draft is needed, except when promoting (the roll-up creates one)
+        if (bumpType !== 'promote') {
+            failures.push(...await this.checkDraft());
+        }
+
+        return failures;
+    }
+
+    /**
+     * Run a read-only git command and return its trimmed output. The arguments
+     * are passed to git without going through the shell.
+     */
+    readGit(args) {
+        return execFileSync('git', args, {
+            cwd: this.config.projectRoot,
+            encoding: 'utf8',
+            stdio: 'pipe',
+            timeout: 30000
+        }).trim();
+    }
+
+    /**
+     * List the paths with uncommitted changes, relative to the repository root.
+     * The output isn't trimmed: the status columns start with a space when
+     * only the working tree copy changed.
+     */
+    readStatus() {
+        const entries = execSync('git status --porcelain -z --untracked-files=all', {
+            cwd: this.config.projectRoot,
+            encoding: 'utf8',
+            stdio: 'pipe',
+            timeout: 30000
+        }).split('\0');
+
+        const files = [];
+        for (let i = 0; i < entries.length; i++) {
+            if (!entries[i]) {
+                continue;
+            }
+            files.push(entries[i].slice(3));
+            // A rename or copy is followed by its source path, which isn't dirty
+            if (/^[RC]/.test(entries[i])) {
+                i++;
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Check for uncommitted changes outside the given directories
+     * (the AI response cache and redaction audit log never count as changes)
+     */
+    checkWorkingTree(ignoredDirs) {
+        try {
+            const repoRoot = this.readGit(['rev-parse', '--show-toplevel']);
+            const ignored = [...ignoredDirs, this.changelogManager.getCacheDir()];
+            const auditLog = this.changelogManager.getAuditLogPath();
+            const dirty = this.readStatus()
+                .map(file => path.resolve(repoRoot, file))
+                .filter(file => file !== auditLog && !ignored.some(dir => file.startsWith(dir + path.sep)))
+                .map(file => path.relative(repoRoot, file));
+
+            return dirty.length > 0 ? [`Working tree has uncommitted changes: ${dirty.join(', ')}`] : [];
+        } catch (error) {
+            return [`Could not check working tree status: ${error.message}`];
+        }
+    }
+
+    /**
+     * Check that a tag exists neither locally nor on the remote
+     */
+    checkTagAvailable(tag) {
+        const failures = [];
+        try {
+            if (this.readGit(['tag', '-l', tag])) {
+                failures.push(`Tag ${tag} already exists locally`);
+            }
+        } catch (error) {
+            failures.push(`Could not list tags: ${error.message}`);
+        }
+
+        try {
+            if (this.readGit(['ls-remote', '--tags', this.config.remote, `refs/tags/${tag}`])) {
+                failures.push(`Tag ${tag} already exists on ${this.config.remote}`);
+            }
+        } catch {
+            failures.push(`Remote "${this.config.remote}" is not reachable`);
+        }
+        return failures;
+    }
+
+    /**
+     * Get the directories changelog edits may be pending in: the release
+     * directory and, in fragment mode, the fragments directory
+     */
+    getChangelogDirs() {
+        return this.changelogManager.isFragmentMode()
+            ? [this.changelogDir, this.changelogManager.fragmentsDir]
+            : [this.changelogDir];
+    }
+
+    /**
+     * Check that the draft exists (in fragment mode, fragments will do)
+     */
+    async checkDraft() {
+        try {
+            await this.workspace.access(path.join(this.changelogDir, this.config.draftFileName));
+            return [];
+        } catch {
+            if (this.changelogManager.isFragmentMode() && (await this.changelogManager.readFragments()).length > 0) {
+                return [];
+            }
+            return [`No draft found at ${path.join(this.config.changelogDir, this.config.draftFileName)}`];
+        }
+    }
+
+    /**
+     * Run release steps in order. If one fails, undo the completed steps in
+     * reverse, restore every touched file and throw a ReleaseError.
+     */
+    async runSteps(steps) {
+        const completed = [];
+
+        for (const step of steps) {
+            try {
+                await step.run();
+                completed.push(step);
+            } catch (cause) {
+                const published = completed.some(done => done.publishes);
+                const rolledBack = [];
+                const rollbackErrors = [];
+
+                // Once the push has gone out we can't take it back
+                if (!published) {
+                    for (const done of [...completed].reverse()) {
+                        if (!done.rollback) {
+                            continue;
+                        }
+                        try {
+                            await done.rollback();
+                            rolledBack.push(done.name);
+                        } catch (error) {
+                            rollbackErrors.push(`${done.name}: ${error.message}`);
+                        }
+                    }
+
+                    try {
+                        await this.workspace.restore();
+                        rolledBack.push('Restore changed files');
+                    } catch (error) {
+                        rollbackErrors.push(`Restore changed files: ${error.message}`);
+                    }
+                }
+
+                throw new ReleaseError(`Release step "${step.name}" failed: ${cause.message}`, {
+                    step: step.name,
+                    cause,
+                    completedSteps: completed.map(done => done.name),
+                    rolledBack,
+                    rollbackErrors,
+                    published
+                });
+            }
+        }
     }
 
     /**
-     * Perform complete release process
+     * Print a report of a failed release
      */
-    async release(bumpType = 'patch') {
+    printFailureReport(error) {
+        console.error(`\n❌ Release failed at step: ${error.step}`);
+
+        if (error.failures.length > 0) {
+            for (const failure of error.failures) {
+                console.error(`   • ${failure}`);
+            }
+            console.error('   Nothing was changed.');
+            return;
+        }
+
+        console.error(`   ${error.cause ? error.cause.message : error.message}`);
+
+        if (error.completedSteps.length > 0) {
+            console.error(`   Completed before the failure: ${error.completedSteps.join(', ')}`);
+        }
+
+        if (error.published) {
+            console.error('   The release commit and tag were already pushed, so nothing was rolled back.');
+            console.error('   Fix the problem and re-run the remaining steps by hand.');
+        } else if (error.rolledBack.length > 0) {
+            console.error(`   Rolled back: ${error.rolledBack.join(', ')}`);
+        }
+
+        for (const rollbackError of error.rollbackErrors) {
+            console.error(`   ⚠️  Rollback failed for ${rollbackError}`);
+        }
+    }
+
+    /**
+     * Perform complete release process. In a monorepo, `options.packages`
+     * limits the release to the named packages (and their dependents).
+     */
+    async release(bumpType = 'patch', options = {}) {
         try {
             console.log('🚀 Starting release process...');
+
+            if (this.getMonorepo()) {
+                return await this.releasePackages(bumpType, options);
+            }
             
             // Ensure changelog directory exists
-            await fs.mkdir(this.changelogDir, { recursive: true });
+            await this.workspace.mkdir(this.changelogDir);
             
+            if (bumpType === 'auto') {
+                const inferred = await this.inferBumpType();
+                bumpType = inferred.bumpType;
+                console.log(`🔍 Inferred ${bumpType} release from ${inferred.reasons.length} change(s)`);
+            }
+
             const currentVersion = await this.getCurrentVersion();
             const newVersion = this.bumpVersion(currentVersion, bumpType);
             
             console.log(`📦 Bumping version from ${currentVersion} to ${newVersion}`);
 
-            // Update package.json
-            await this.updatePackageJson(newVersion);
-            
-            // Update additional version files
-            await this.updateAdditionalFiles(newVersion);
-            
-            // Rename draft file
-            await this.renameDraftFile(newVersion);
-            
-            // Create git tag
-            await this.createGitTag(newVersion);
-            
-            // Commit and push changes
-            await this.commitAndPush(newVersion);
-            
-            // Create GitHub release
-            await this.createGithubRelease(newVersion);
-            
-            // Start new draft
-            await this.startNewDraft();
+            // Check everything up front so a doomed release never starts
+            const failures = await this.preflight(newVersion, bumpType);
+            if (failures.length > 0 && this.workspace.dryRun) {
+                console.warn('⚠️  Preflight checks would fail:');
+                failures.forEach(failure => console.warn(`   • ${failure}`));
+            } else if (failures.length > 0) {
+                throw new ReleaseError('Preflight checks failed', { step: 'Preflight checks', failures });
+            }
+
+            const headBefore = this.workspace.dryRun
+                ? null
+                : this.readGit(['rev-parse', 'HEAD']);
+
+            const steps = [
+                // Promoting to a final release collects the notes of all its pre-releases
+                bumpType === 'promote' && {
+                    name: 'Roll up pre-release notes',
+                    run: () => this.rollUpPrereleases(newVersion)
+                },
+                this.changelogManager.isFragmentMode() && {
+                    name: 'Merge entry fragments',
+                    run: () => this.mergeFragments()
+                },
+                { name: 'Update package.json', run: () => this.updatePackageJson(newVersion) },
+                { name: 'Update version files', run: () => this.updateAdditionalFiles(newVersion) },
+                { name: 'Finalize release file', run: () => this.renameDraftFile(newVersion) },
+                { name: 'Start new draft', run: () => this.startNewDraft() },
+                this.config.buildChangelog !== false && {
+                    name: 'Build CHANGELOG.md',
+                    run: () => this.buildChangelog()
+                },
+                {
+                    name: 'Commit release',
+                    run: () => this.commitRelease(newVersion),
+                    rollback: () => this.runGit(['reset', '--mixed', headBefore])
+                },
+                {
+                    name: 'Create git tag',
+                    run: () => this.createGitTag(newVersion),
+                    rollback: () => this.runGit(['tag', '-d', this.changelogManager.formatTag(newVersion)])
+                },
+                { name: 'Push to remote', run: () => this.pushRelease(newVersion), publishes: true },
+                { name: 'Publish release', run: () => this.publishRelease(newVersion) }
+            ].filter(Boolean);
+
+            await this.runSteps(steps);
+
+            if (this.workspace.dryRun) {
+                console.log(`\n🏷️  Tag that would be created: ${this.changelogManager.formatTag(newVersion)}`);
+                console.log(`📝 Commit that would be created: "${this.getReleaseCommitMessage(newVersion)}"`);
+                await this.workspace.printDryRunReport();
+                return newVersion;
+            }
             
             console.log(`✅ Release ${newVersion} completed successfully!`);
             return newVersion;
             
         } catch (error) {
-            console.error('❌ Release process failed:', error.message);
+            if (error instanceof ReleaseError) {
+                this.printFailureReport(error);
+            } else {
+                console.error('❌ Release process failed:', error.message);
+            }
             throw error;
         }
     }
 }
 
+/**
+ * Format a command's arguments for display, quoting the ones the shell would split
+ */
+function formatCommand(args) {
+    return args.map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`)).join(' ');
+}
+
 module.exports = ReleaseManager;
@@ -0,0 +1,250 @@
+/**
+ * Template Engine - Small Handlebars-style renderer for release files
+ *
+ * Supports:
+ * - `{{value}}` and dotted paths (`{{release.version}}`, `{{this}}`)
+ * - `{{#each list}}...{{else}}...{{/each}}` with `@index`, `@number`, `@first` and `@last`
+ * - `{{#if value}}...{{else}}...{{/if}}` and `{{#unless value}}...{{/unless}}`
+ * - Helper calls with path, string and number arguments: `{{formatDate date "MMMM D, YYYY"}}`
+ *
+ * Output is not escaped, since templates produce Markdown. Block tags on a
+ * line of their own don't leave an empty line behind.
+ */
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+const BUILT_IN_HELPERS = {
+    today: () => new Date().toISOString().split('T')[0],
+    formatDate: (value, format = 'YYYY-MM-DD') => formatDate(value, format),
+    default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+    join: (list, separator = ', ') => (Array.isArray(list) ? list.join(separator) : ''),
+    lowercase: value => String(value === undefined || value === null ? '' : value).toLowerCase(),
+    uppercase: value => String(value === undefined || value === null ? '' : value).toUpperCase(),
+    eq: (a, b) => a === b,
+    not: value => !isTruthy(value)
+};
+
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([\s\S]*?)\s*\}\}/g;
+const STANDALONE_PATTERN = /^[ \t]*(\{\{\s*(?:[#/][^}]*|else)\s*\}\})[ \t]*(?:\r?\n|$)/gm;
+
+class TemplateEngine {
+    constructor(options = {}) {
+        this.helpers = { ...BUILT_IN_HELPERS, ...options.helpers };
+    }
+
+    /**
+     * Add or replace a helper
+     */
+    registerHelper(name, helper) {
+        this.helpers[name] = helper;
+    }
+
+    /**
+     * Render a template with the given context
+     */
+    render(template, context = {}) {
+        const nodes = this.parse(template);
+        return this.renderNodes(nodes, [{ scope: context, data: {} }]);
+    }
+
+    /**
+     * Parse a template into a tree of text, expression and block nodes
+     */
+    parse(template) {
+        const source = String(template).replace(STANDALONE_PATTERN, '$1');
+        const root = { children: [] };
+        const stack = [root];
+        let lastIndex = 0;
+        let match;
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(source)) !== null) {
+            const current = stack[stack.length - 1];
+            const target = current.inElse ? current.inverse : current.children;
+            if (match.index > lastIndex) {
+                target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+            }
+            lastIndex = TAG_PATTERN.lastIndex;
+
+            const [, marker, body] = match;
+            if (marker === '#') {
+                const [name, ...rest] = body.split(/\s+/);
+                const block = { type: 'block', name, expression: rest.join(' '), children: [], inverse: [], inElse: false };
+                target.push(block);
+                stack.push(block);
+            } else if (marker === '/') {
+                if (stack.length === 1 || current.name !== body) {
+                    throw new Error(`Unexpected {{/${body}}} in template`);
+                }
+                stack.pop();
+            } else if (body === 'else' && stack.length > 1) {
+                current.inElse = true;
+            } else {
+                target.push({ type: 'expression', expression: body });
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}} in template`);
+        }
+        if (lastIndex < source.length) {
+            root.children.push({ type: 'text', value: source.slice(lastIndex) });
+        }
+
+        return root.children;
+    }
+
+    /**
+     * Render parsed nodes against a stack of scopes (innermost last)
+     */
+    renderNodes(nodes, frames) {
+        let output = '';
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                output += node.value;
+            } else if (node.type === 'expression') {
+                const value = this.evaluate(node.expression, frames);
+                output += value === undefined || value === null ? '' : String(value);
+            } else {
+                output += this.renderBlock(node, frames);
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Render an each / if / unless block
+     */
+    renderBlock(node, frames) {
+        const primary = node.children;
+        const inverse = node.inverse;
+        const value = this.evaluate(node.expression, frames);
+
+        if (node.name === 'each') {
+            const items = Array.isArray(value) ? value : [];
+            if (items.length === 0) {
+                return this.renderNodes(inverse, frames);
+            }
+            return items.map((item, index) => this.renderNodes(primary, [...frames, {
+                scope: item,
+                data: { index, number: index + 1, first: index === 0, last: index === items.length - 1 }
+            }])).join('');
+        }
+
+        if (node.name === 'if' || node.name === 'unless') {
+            const truthy = isTruthy(value);
+            const show = node.name === 'if' ? truthy : !truthy;
+            return this.renderNodes(show ? primary : inverse, frames);
+        }
+
+        throw new Error(`Unknown block helper {{#${node.name}}} in template`);
+    }
+
+    /**
+     * Evaluate a path or helper call
+     */
+    evaluate(expression, frames) {
+        const args = tokenize(expression);
+        if (args.length === 0) {
+            return undefined;
+        }
+
+        const [first, ...rest] = args;
+        if (first.type === 'path' && typeof this.helpers[first.value] === 'function' &&
+            (rest.length > 0 || this.lookup(first.value, frames) === undefined)) {
+            return this.helpers[first.value](...rest.map(arg => this.resolveArgument(arg, frames)));
+        }
+
+        return this.resolveArgument(first, frames);
+    }
+
+    /**
+     * Resolve a literal or path argument
+     */
+    resolveArgument(arg, frames) {
+        return arg.type === 'literal' ? arg.value : this.lookup(arg.value, frames);
+    }
+
+    /**
+     * Look a dotted path up, starting at the innermost scope
+     */
+    lookup(pathExpression, frames) {
+        if (pathExpression.startsWith('@')) {
+            return frames[frames.length - 1].data[pathExpression.slice(1)];
+        }
+
+        const segments = pathExpression.split('.');
+        if (segments[0] === 'this') {
+            return getPath(frames[frames.length - 1].scope, segments.slice(1));
+        }
+
+        for (let i = frames.length - 1; i >= 0; i--) {
+            const scope = frames[i].scope;
+            if (scope !== null && typeof scope === 'object' && segments[0] in scope) {
+                return getPath(scope, segments);
+            }
+        }
+        return undefined;
+    }
+}
+
+/**
+ * Split an expression into path and literal arguments
+ */
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(expression)) !== null) {
+        if (match[1] !== undefined || match[2] !== undefined) {
+            tokens.push({ type: 'literal', value: match[1] !== undefined ? match[1] : match[2] });
+        } else if (/^-?\d+(\.\d+)?$/.test(match[3])) {
+            tokens.push({ type: 'literal', value: Number(match[3]) });
+        } else if (match[3] === 'true' || match[3] === 'false') {
+            tokens.push({ type: 'literal', value: match[3] === 'true' });
+        } else {
+            tokens.push({ type: 'path', value: match[3] });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Read a nested value
+ */
+function getPath(value, segments) {
+    return segments.reduce((current, segment) =>
+        (current === undefined || current === null ? undefined : current[segment]), value);
+}
+
+/**
+ * Truthiness for templates: empty lists and empty strings are false
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Format a YYYY-MM-DD (or any Date-parsable) value with YYYY, MMMM, MMM, MM, M, DD and D tokens
+ */
+function formatDate(value, format) {
+    const date = value ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value) : new Date();
+    if (Number.isNaN(date.getTime())) {
+        return value || '';
+    }
+
+    const parts = {
+        YYYY: String(date.getUTCFullYear()),
+        MMMM: MONTHS[date.getUTCMonth()],
+        MMM: MONTHS[date.getUTCMonth()].slice(0, 3),
+        MM: String(date.getUTCMonth() + 1).padStart(2, '0'),
+        M: String(date.getUTCMonth() + 1),
+        DD: String(date.getUTCDate()).padStart(2, '0'),
+        D: String(date.getUTCDate())
+    };
+
+    return format.replace(/YYYY|MMMM|MMM|MM|M|DD|D/g, token => parts[token]);
+}
+
+module.exports = TemplateEngine;
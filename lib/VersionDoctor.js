@@ -0,0 +1,191 @@
+/**
+ * Version Doctor - Cross-checks every place a project's version is recorded
+ *
+ * The released version is taken from the latest release tag, else the
+ * highest tagged release file, else package.json. package.json and every
+ * `versionFiles` entry must match it, the latest tag and release file must
+ * agree, and the draft must be for a later version. package.json, version
+ * files and the draft can be repaired; tags and release files are only
+ * reported, since rewriting history is a decision for a person to make.
+ */
+
+const path = require('path');
+const semver = require('semver');
+const { createVersionFile } = require('./versionFiles');
+
+class VersionDoctor {
+    constructor(releaseManager) {
+        this.releaseManager = releaseManager;
+        this.changelogManager = releaseManager.changelogManager;
+        this.workspace = releaseManager.workspace;
+    }
+
+    /**
+     * Check the versions, in every workspace package for a monorepo.
+     * Returns { sources: [{ package, label, version, ok }], problems: [{ package, message, fix }] },
+     * where `fix` repairs the problem (null when it can't be repaired automatically).
+     */
+    async diagnose() {
+        const monorepo = this.releaseManager.getMonorepo();
+        if (!monorepo) {
+            return this.diagnoseProject(null);
+        }
+
+        const report = { sources: [], problems: [] };
+        for (const pkg of await monorepo.getPackages()) {
+            const doctor = new VersionDoctor(this.releaseManager.forPackage(pkg));
+            const packageReport = await doctor.diagnoseProject(pkg.name);
+            report.sources.push(...packageReport.sources);
+            report.problems.push(...packageReport.problems);
+        }
+        return report;
+    }
+
+    /**
+     * Check the versions of a single project (or workspace package)
+     */
+    async diagnoseProject(packageName) {
+        const sources = [];
+        const problems = [];
+        const addSource = (label, version, ok = true) => sources.push({ package: packageName, label, version, ok });
+        const addProblem = (message, fix = null) => problems.push({ package: packageName, message, fix });
+
+        const config = this.releaseManager.config;
+        const tagPrefix = this.changelogManager.getTagPrefix();
+
+        // What has been released: the latest tag, then the highest tagged release file
+        const latestTag = this.changelogManager.getLatestTag();
+        const tagVersion = latestTag ? semver.valid(latestTag.slice(tagPrefix.length)) : null;
+        const releaseFile = await this.getLatestReleaseFile();
+        const packageVersion = await this.readPackageVersion();
+        const expected = tagVersion || (releaseFile && releaseFile.version) || packageVersion;
+
+        if (latestTag) {
+            addSource('Latest tag', latestTag);
+        }
+        if (releaseFile) {
+            const ok = !tagVersion || releaseFile.version === tagVersion;
+            addSource('Latest release file', releaseFile.file, ok);
+            if (!ok) {
+                addProblem(`The latest release file is ${releaseFile.file} but the latest tag is ${latestTag}`);
+            }
+        }
+
+        if (packageVersion !== null) {
+            const ok = !expected || packageVersion === expected;
+            addSource(config.packageJsonPath, packageVersion, ok);
+            if (!ok) {
+                addProblem(
+                    `${config.packageJsonPath} is ${packageVersion}, expected ${expected}`,
+                    () => this.releaseManager.updatePackageJson(expected)
+                );
+            }
+        }
+
+        for (const fileConfig of config.versionFiles || []) {
+            let version;
+            try {
+                const content = await this.workspace.readFile(path.resolve(config.projectRoot, fileConfig.path), 'utf8');
+                version = createVersionFile(fileConfig).read(content);
+            } catch (error) {
+                addSource(fileConfig.path, null, false);
+                addProblem(error.code === 'ENOENT' ? `Version file ${fileConfig.path} does not exist` : error.message);
+                continue;
+            }
+
+            const ok = !expected || version === expected;
+            addSource(fileConfig.path, version, ok);
+            if (!ok) {
+                addProblem(
+                    `${fileConfig.path} is ${version}, expected ${expected}`,
+                    () => this.releaseManager.updateVersionFile(fileConfig, expected)
+                );
+            }
+        }
+
+        // The draft is for the next release, so it must be ahead of the released version
+        const draft = await this.readDraftVersion();
+        if (draft) {
+            const ok = !expected || (semver.valid(draft.version) && semver.gt(draft.version, expected));
+            addSource(`Draft (${config.draftFileName})`, draft.version, ok);
+            if (!ok) {
+                const nextVersion = semver.inc(expected, 'patch');
+                addProblem(
+                    `The draft is for ${draft.version || 'no version'}, which is not after ${expected}`,
+                    () => this.setDraftVersion(draft.path, nextVersion)
+                );
+            }
+        }
+
+        return { sources, problems };
+    }
+
+    /**
+     * Repair every fixable problem of a report. Returns the messages of the fixed problems.
+     */
+    async fix(report) {
+        const fixed = [];
+        for (const problem of report.problems.filter(p => p.fix)) {
+            await problem.fix();
+            fixed.push(problem.package ? `${problem.package}: ${problem.message}` : problem.message);
+        }
+        return fixed;
+    }
+
+    /**
+     * Get the highest release file that has been tagged, as { version, file }
+     */
+    async getLatestReleaseFile() {
+        let files;
+        try {
+            files = await this.changelogManager.getReleaseFiles();
+        } catch {
+            // No changelog directory
+            return null;
+        }
+
+        for (const { version, file } of files) {
+            const content = await this.workspace.readFile(path.join(this.changelogManager.changelogDir, file), 'utf8');
+            if (this.changelogManager.parseFrontmatter(content).tag) {
+                return { version, file };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read the package.json version (null without a package.json)
+     */
+    async readPackageVersion() {
+        try {
+            const packageJson = JSON.parse(await this.workspace.readFile(this.releaseManager.packageJsonFullPath, 'utf8'));
+            return packageJson.version || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Read the version in the draft's frontmatter, as { path, version } (null without a draft)
+     */
+    async readDraftVersion() {
+        const draftPath = path.join(this.releaseManager.changelogDir, this.releaseManager.config.draftFileName);
+        try {
+            const content = await this.workspace.readFile(draftPath, 'utf8');
+            return { path: draftPath, version: this.changelogManager.parseFrontmatter(content).version || null };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Set the version in the draft's frontmatter
+     */
+    async setDraftVersion(draftPath, version) {
+        const content = await this.workspace.readFile(draftPath, 'utf8');
+        await this.workspace.writeFile(draftPath, this.changelogManager.setFrontmatterValue(content, 'version', version));
+        console.log(`Updated ${this.releaseManager.config.draftFileName} to version ${version}`);
+    }
+}
+
+module.exports = VersionDoctor;
@@ -0,0 +1,226 @@
+/**
+ * Workspace - Tracks every file the changelog and release managers touch
+ *
+ * All reads and writes go through a workspace so that:
+ * - In dry-run mode nothing is written; changes are kept in memory and
+ *   later reads see them, so the full pipeline can run without side effects
+ * - The original content of every touched file is remembered and can be
+ *   shown as a unified diff (or restored)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+
+class Workspace {
+    constructor(options = {}) {
+        this.dryRun = Boolean(options.dryRun);
+        this.root = options.root || process.cwd();
+
+        // path -> original content (null if the file didn't exist)
+        this.originals = new Map();
+        // path -> pending content (null if deleted); only used in dry-run mode
+        this.pending = new Map();
+    }
+
+    /**
+     * Read a file, taking pending dry-run changes into account
+     */
+    async readFile(filePath, encoding = 'utf8') {
+        const fullPath = path.resolve(filePath);
+        if (this.pending.has(fullPath)) {
+            const content = this.pending.get(fullPath);
+            if (content === null) {
+                throw this.notFoundError(fullPath);
+            }
+            return content;
+        }
+        return fs.readFile(fullPath, encoding);
+    }
+
+    /**
+     * Check that a file exists, taking pending dry-run changes into account
+     */
+    async access(filePath) {
+        const fullPath = path.resolve(filePath);
+        if (this.pending.has(fullPath)) {
+            if (this.pending.get(fullPath) === null) {
+                throw this.notFoundError(fullPath);
+            }
+            return;
+        }
+        await fs.access(fullPath);
+    }
+
+    /**
+     * List a directory, including files created or removed in dry-run mode
+     */
+    async readdir(dirPath) {
+        const fullPath = path.resolve(dirPath);
+        let entries = [];
+        try {
+            entries = await fs.readdir(fullPath);
+        } catch (error) {
+            if (!this.dryRun) {
+                throw error;
+            }
+        }
+
+        const names = new Set(entries);
+        for (const [filePath, content] of this.pending) {
+            if (path.dirname(filePath) !== fullPath) {
+                continue;
+            }
+            if (content === null) {
+                names.delete(path.basename(filePath));
+            } else {
+                names.add(path.basename(filePath));
+            }
+        }
+
+        return [...names].sort();
+    }
+
+    /**
+     * Create a directory (skipped in dry-run mode)
+     */
+    async mkdir(dirPath) {
+        if (!this.dryRun) {
+            await fs.mkdir(dirPath, { recursive: true });
+        }
+    }
+
+    /**
+     * Write a file, remembering its original content
+     */
+    async writeFile(filePath, content) {
+        const fullPath = path.resolve(filePath);
+        await this.rememberOriginal(fullPath);
+
+        if (this.dryRun) {
+            this.pending.set(fullPath, content);
+            return;
+        }
+
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, content, 'utf8');
+    }
+
+    /**
+     * Delete a file, remembering its original content
+     */
+    async unlink(filePath) {
+        const fullPath = path.resolve(filePath);
+        await this.rememberOriginal(fullPath);
+
+        if (this.dryRun) {
+            await this.access(fullPath);
+            this.pending.set(fullPath, null);
+            return;
+        }
+
+        await fs.unlink(fullPath);
+    }
+
+    /**
+     * Record a file's content before the first change to it
+     */
+    async rememberOriginal(fullPath) {
+        if (this.originals.has(fullPath)) {
+            return;
+        }
+        try {
+            this.originals.set(fullPath, await fs.readFile(fullPath, 'utf8'));
+        } catch {
+            this.originals.set(fullPath, null);
+        }
+    }
+
+    /**
+     * Put every touched file back the way it was before the first change
+     */
+    async restore() {
+        for (const [fullPath, original] of this.originals) {
+            if (this.dryRun) {
+                this.pending.delete(fullPath);
+            } else if (original === null) {
+                await fs.rm(fullPath, { force: true });
+            } else {
+                await fs.writeFile(fullPath, original, 'utf8');
+            }
+        }
+        this.originals.clear();
+    }
+
+    /**
+     * Get the current content of a touched file (null if it doesn't exist)
+     */
+    async currentContent(fullPath) {
+        try {
+            return await this.readFile(fullPath);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * List every file that changed, with its content before and after
+     */
+    async getChanges() {
+        const changes = [];
+        for (const [fullPath, before] of this.originals) {
+            const after = await this.currentContent(fullPath);
+            if (before !== after) {
+                changes.push({ path: fullPath, before, after });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Render all changes as a unified diff relative to the workspace root
+     */
+    async formatDiff() {
+        const patches = [];
+        for (const change of await this.getChanges()) {
+            const relativePath = path.relative(this.root, change.path);
+            patches.push(createTwoFilesPatch(
+                change.before === null ? '/dev/null' : `a/${relativePath}`,
+                change.after === null ? '/dev/null' : `b/${relativePath}`,
+                change.before || '',
+                change.after || '',
+                '',
+                '',
+                { context: 3 }
+            ).replace(/^=+\n/, '').replace(/^(---|\+\+\+) (.*)\t$/gm, '$1 $2'));
+        }
+        return patches.join('\n');
+    }
+
+    /**
+     * Print a summary of what a dry run would have changed
+     */
+    async printDryRunReport() {
+        const changes = await this.getChanges();
+        console.log('\n🔍 Dry run: no files were changed.');
+
+        if (changes.length === 0) {
+            console.log('No files would change.');
+            return;
+        }
+
+        console.log(`${changes.length} file(s) would change:\n`);
+        console.log(await this.formatDiff());
+    }
+
+    /**
+     * Build an ENOENT error for files deleted in dry-run mode
+     */
+    notFoundError(fullPath) {
+        const error = new Error(`ENOENT: no such file or directory, open '${fullPath}'`);
+        error.code = 'ENOENT';
+        return error;
+    }
+}
+
+module.exports = Workspace;
@@ -0,0 +1,25 @@
+/**
+ * Error types raised by the release pipeline
+ */
+
+/**
+ * Raised when a release step fails. Carries the failed step, the steps that
+ * had already completed and what was rolled back, so callers can report it.
+ */
+class ReleaseError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ReleaseError';
+        this.step = details.step || null;
+        this.cause = details.cause || null;
+        this.failures = details.failures || [];
+        this.completedSteps = details.completedSteps || [];
+        this.rolledBack = details.rolledBack || [];
+        this.rollbackErrors = details.rollbackErrors || [];
+        this.published = Boolean(details.published);
+    }
+}
+
+module.exports = {
+    ReleaseError
+};
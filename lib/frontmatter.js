@@ -0,0 +1,93 @@
+/**
+ * Frontmatter - Read and write the YAML block at the top of release files
+ *
+ * Edits go through a YAML document, so keys, comments and formatting that
+ * aren't touched survive a round trip. Numbers are read as strings: release
+ * metadata is versions, dates and commit SHAs, and a SHA like `1234e567`
+ * must not turn into a float.
+ */
+
+const YAML = require('yaml');
+
+const FRONTMATTER_PATTERN = /^---\r?\n((?:[\s\S]*?\r?\n)?)---[ \t]*(?:\r?\n|$)/;
+const NUMBER_TAGS = ['tag:yaml.org,2002:int', 'tag:yaml.org,2002:float'];
+const YAML_OPTIONS = { customTags: tags => tags.filter(tag => !NUMBER_TAGS.includes(tag.tag)) };
+const STRINGIFY_OPTIONS = { nullStr: '', flowCollectionPadding: false };
+
+/**
+ * Split a file into { block, source, body }: the whole `---` block, the YAML
+ * inside it and everything after it (block and source are null without one)
+ */
+function splitFrontmatter(content) {
+    const match = content.match(FRONTMATTER_PATTERN);
+    if (!match) {
+        return { block: null, source: null, body: content };
+    }
+    return { block: match[0], source: match[1], body: content.slice(match[0].length) };
+}
+
+/**
+ * Parse the frontmatter source into a YAML document, failing on invalid YAML
+ */
+function parseDocument(source) {
+    const doc = YAML.parseDocument(source, YAML_OPTIONS);
+    if (doc.errors.length > 0) {
+        throw new Error(`Invalid frontmatter: ${doc.errors[0].message.split('\n')[0].replace(/:$/, '')}`);
+    }
+    if (doc.contents !== null && !YAML.isMap(doc.contents)) {
+        throw new Error('Invalid frontmatter: expected key/value pairs');
+    }
+    return doc;
+}
+
+/**
+ * Read the frontmatter of a file as a plain object (empty without frontmatter)
+ */
+function parseFrontmatter(content) {
+    const { source } = splitFrontmatter(content);
+    if (source === null) {
+        return {};
+    }
+    return parseDocument(source).toJS() || {};
+}
+
+/**
+ * Format an object as a frontmatter block
+ */
+function formatFrontmatter(data) {
+    const doc = new YAML.Document(data, YAML_OPTIONS);
+    return `---\n${doc.toString(STRINGIFY_OPTIONS)}---\n`;
+}
+
+/**
+ * Set frontmatter values, keeping every other key where it was.
+ * An `undefined` value removes the key; a file without frontmatter gets one.
+ */
+function updateFrontmatter(content, values) {
+    const { source, body } = splitFrontmatter(content);
+    if (source === null) {
+        const data = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+        return `${formatFrontmatter(data)}\n${content}`;
+    }
+
+    const doc = parseDocument(source);
+    if (doc.contents === null) {
+        doc.contents = doc.createNode({});
+    }
+    for (const [key, value] of Object.entries(values)) {
+        if (value === undefined) {
+            doc.delete(key);
+        } else {
+            doc.set(key, value);
+        }
+    }
+
+    return `---\n${doc.toString(STRINGIFY_OPTIONS)}---\n${body}`;
+}
+
+module.exports = {
+    splitFrontmatter,
+    parseFrontmatter,
+    formatFrontmatter,
+    updateFrontmatter
+};
@@ -0,0 +1,63 @@
+/**
+ * HTTP helper - Minimal promise-based client on top of Node's http/https
+ *
+ * Used by the release publishers so they work against any base URL,
+ * including plain-http stubs in local tests.
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Send a request and resolve with { status, headers, body, json() }.
+ * Objects passed as `body` are sent as JSON.
+ */
+function request(url, options = {}) {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    let body = options.body;
+    const headers = {
+        'User-Agent': 'changelog-manager',
+        ...options.headers
+    };
+
+    if (body !== undefined && body !== null && !Buffer.isBuffer(body) && typeof body !== 'string') {
+        body = JSON.stringify(body);
+        headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+    }
+
+    if (body !== undefined && body !== null) {
+        headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(target, { method: options.method || 'GET', headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: text,
+                    json: () => (text ? JSON.parse(text) : null)
+                });
+            });
+        });
+
+        req.on('error', reject);
+        req.setTimeout(options.timeout || 30000, () => {
+            req.destroy(new Error(`Request to ${target.host} timed out`));
+        });
+
+        if (body !== undefined && body !== null) {
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+module.exports = {
+    request
+};
@@ -4,8 +4,46 @@
 
 const ChangelogManager = require('./ChangelogManager');
 const ReleaseManager = require('./ReleaseManager');
+const ChangelogBuilder = require('./ChangelogBuilder');
+const ChangelogExporter = require('./ChangelogExporter');
+const CommitParser = require('./CommitParser');
+const Workspace = require('./Workspace');
+const PolishCache = require('./PolishCache');
+const Redactor = require('./Redactor');
+const TemplateEngine = require('./TemplateEngine');
+const Monorepo = require('./Monorepo');
+const FragmentStore = require('./FragmentStore');
+const VersionDoctor = require('./VersionDoctor');
+const ChangelogLinter = require('./ChangelogLinter');
+const EntryCheck = require('./EntryCheck');
+const { ReleaseError } = require('./errors');
+const { AIProvider, registerProvider, createProvider } = require('./providers');
+const { ReleasePublisher, registerPublisher, createPublisher } = require('./publishers');
+const { VersionFile, registerVersionFile, createVersionFile } = require('./versionFiles');
 
 module.exports = {
     ChangelogManager,
-    ReleaseManager
+    ReleaseManager,
+    ChangelogBuilder,
+    ChangelogExporter,
+    CommitParser,
+    Workspace,
+    PolishCache,
+    Redactor,
+    TemplateEngine,
+    Monorepo,
+    FragmentStore,
+    VersionDoctor,
+    ChangelogLinter,
+    EntryCheck,
+    ReleaseError,
+    AIProvider,
+    registerProvider,
+    createProvider,
+    ReleasePublisher,
+    registerPublisher,
+    createPublisher,
+    VersionFile,
+    registerVersionFile,
+    createVersionFile
 };
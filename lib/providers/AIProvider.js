@@ -0,0 +1,65 @@
+/**
+ * AI Provider - Base class for the services used to polish commit messages
+ *
+ * A provider receives a prompt and returns the model's text response.
+ * Subclasses implement `complete(prompt)`; third-party providers can extend
+ * this class (exported from the package root) and be loaded by module name.
+ */
+
+class AIProvider {
+    constructor(options = {}) {
+        this.options = options;
+        this.apiKey = options.apiKey;
+        this.baseUrl = (options.baseUrl || this.constructor.defaults.baseUrl || '').replace(/\/+$/, '');
+        this.model = options.model || this.constructor.defaults.model;
+        this.temperature = options.temperature !== undefined ? options.temperature : this.constructor.defaults.temperature;
+        this.maxTokens = options.maxTokens || this.constructor.defaults.maxTokens || 500;
+        this.systemPrompt = options.systemPrompt || 'You are a helpful assistant that writes clear, professional changelog entries.';
+    }
+
+    /**
+     * Whether the provider has what it needs to make requests
+     */
+    isConfigured() {
+        return Boolean(this.apiKey && this.baseUrl && this.model);
+    }
+
+    /**
+     * Describe the provider and model, e.g. for logs and cache keys
+     */
+    describe() {
+        return `${this.constructor.providerName || this.constructor.name}:${this.model}`;
+    }
+
+    /**
+     * Send a prompt and return the text response
+     */
+    async complete(prompt) {
+        throw new Error(`${this.constructor.name} does not implement complete()`);
+    }
+
+    /**
+     * POST JSON to the provider and return the parsed response
+     */
+    async postJson(url, headers, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            throw new Error(`${this.describe()} request failed: ${response.status} ${text}`.trim());
+        }
+
+        return response.json();
+    }
+}
+
+AIProvider.defaults = {};
+
+module.exports = AIProvider;
@@ -0,0 +1,37 @@
+/**
+ * Claude Provider - Anthropic Messages API
+ */
+
+const AIProvider = require('./AIProvider');
+
+class ClaudeProvider extends AIProvider {
+    async complete(prompt) {
+        const body = {
+            model: this.model,
+            max_tokens: this.maxTokens,
+            system: this.systemPrompt,
+            messages: [
+                { role: 'user', content: prompt }
+            ]
+        };
+
+        if (this.temperature !== undefined) {
+            body.temperature = this.temperature;
+        }
+
+        const data = await this.postJson(`${this.baseUrl}/messages`, {
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        }, body);
+
+        return data.content[0].text;
+    }
+}
+
+ClaudeProvider.providerName = 'claude';
+ClaudeProvider.defaults = {
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-haiku-20240307'
+};
+
+module.exports = ClaudeProvider;
@@ -0,0 +1,33 @@
+/**
+ * Gemini Provider - Google Generative Language API
+ */
+
+const AIProvider = require('./AIProvider');
+
+class GeminiProvider extends AIProvider {
+    async complete(prompt) {
+        const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`;
+        const data = await this.postJson(url, {}, {
+            contents: [{
+                parts: [{
+                    text: prompt
+                }]
+            }],
+            generationConfig: {
+                maxOutputTokens: this.maxTokens,
+                temperature: this.temperature
+            }
+        });
+
+        return data.candidates[0].content.parts[0].text;
+    }
+}
+
+GeminiProvider.providerName = 'gemini';
+GeminiProvider.defaults = {
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    model: 'gemini-1.5-flash-latest',
+    temperature: 0.7
+};
+
+module.exports = GeminiProvider;
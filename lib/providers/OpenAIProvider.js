@@ -0,0 +1,49 @@
+/**
+ * OpenAI Provider - Chat Completions API
+ *
+ * Also used for any OpenAI-compatible endpoint (self-hosted inference
+ * servers, local mocks) by setting `baseUrl`; an API key is optional there.
+ */
+
+const AIProvider = require('./AIProvider');
+
+class OpenAIProvider extends AIProvider {
+    async complete(prompt) {
+        const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+        const body = {
+            model: this.model,
+            messages: [
+                { role: 'system', content: this.systemPrompt },
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: this.maxTokens
+        };
+
+        if (this.temperature !== undefined) {
+            body.temperature = this.temperature;
+        }
+
+        const data = await this.postJson(`${this.baseUrl}/chat/completions`, headers, body);
+        return data.choices[0].message.content;
+    }
+}
+
+OpenAIProvider.providerName = 'openai';
+OpenAIProvider.defaults = {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-3.5-turbo'
+};
+
+/**
+ * Generic OpenAI-compatible endpoint: requires a base URL and model, no key
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+    isConfigured() {
+        return Boolean(this.baseUrl && this.model);
+    }
+}
+
+OpenAICompatibleProvider.providerName = 'openai-compatible';
+OpenAICompatibleProvider.defaults = {};
+
+module.exports = { OpenAIProvider, OpenAICompatibleProvider };
@@ -0,0 +1,86 @@
+/**
+ * AI Provider Registry
+ *
+ * Built-in providers are registered by name. Additional providers can be
+ * registered at runtime with `registerProvider`, or named in
+ * `changelog.config.json` under `aiProviders` as npm modules, e.g.
+ * `{ "aiProviders": { "acme": "@acme/changelog-ai-provider" } }`.
+ * A provider module exports an AIProvider subclass or a factory function
+ * returning an object with `complete(prompt)`.
+ */
+
+const path = require('path');
+const AIProvider = require('./AIProvider');
+const { OpenAIProvider, OpenAICompatibleProvider } = require('./OpenAIProvider');
+const ClaudeProvider = require('./ClaudeProvider');
+const GeminiProvider = require('./GeminiProvider');
+
+const registry = new Map([
+    ['openai', OpenAIProvider],
+    ['openai-compatible', OpenAICompatibleProvider],
+    ['claude', ClaudeProvider],
+    ['gemini', GeminiProvider]
+]);
+
+/**
+ * Register a provider class or factory under a name
+ */
+function registerProvider(name, provider) {
+    registry.set(name, provider);
+}
+
+/**
+ * Load a provider from an npm module, resolved from the project root
+ */
+function loadProviderModule(moduleName, projectRoot = process.cwd()) {
+    const resolved = require.resolve(moduleName, { paths: [path.resolve(projectRoot)] });
+    const loaded = require(resolved);
+    return loaded && loaded.default ? loaded.default : loaded;
+}
+
+/**
+ * Check whether a provider is a class. A module may extend its own copy of
+ * AIProvider, so `instanceof` can't be relied on.
+ */
+function isClass(provider) {
+    return provider.prototype instanceof AIProvider ||
+        /^class\b/.test(Function.prototype.toString.call(provider)) ||
+        Boolean(provider.prototype && typeof provider.prototype.complete === 'function');
+}
+
+/**
+ * Instantiate a provider from a registered class or factory
+ */
+function instantiate(provider, options) {
+    if (typeof provider !== 'function') {
+        throw new Error('AI provider must be an AIProvider subclass or a factory function');
+    }
+    return isClass(provider) ? new provider(options) : provider(options);
+}
+
+/**
+ * Create the provider named in the options, loading configured modules first
+ */
+function createProvider(name, options = {}, modules = {}, projectRoot = process.cwd()) {
+    if (!registry.has(name) && modules[name]) {
+        registerProvider(name, loadProviderModule(modules[name], projectRoot));
+    }
+
+    const provider = registry.get(name);
+    if (!provider) {
+        throw new Error(`Unknown AI provider "${name}". Available: ${[...registry.keys()].join(', ')}`);
+    }
+
+    return instantiate(provider, options);
+}
+
+module.exports = {
+    AIProvider,
+    OpenAIProvider,
+    OpenAICompatibleProvider,
+    ClaudeProvider,
+    GeminiProvider,
+    registerProvider,
+    loadProviderModule,
+    createProvider
+};
@@ -0,0 +1,72 @@
+/**
+ * Bitbucket Publisher - Bitbucket Cloud
+ *
+ * Bitbucket has no releases, so the notes are uploaded to the repository's
+ * Downloads as `<tag>-release-notes.md`, next to any release assets. The
+ * token is either an access token (sent as a bearer token) or
+ * `username:app-password` (sent as basic auth).
+ */
+
+const ReleasePublisher = require('./ReleasePublisher');
+
+class BitbucketPublisher extends ReleasePublisher {
+    static apiBaseFor() {
+        return 'https://api.bitbucket.org/2.0';
+    }
+
+    authHeaders() {
+        if (this.token.includes(':')) {
+            return { 'Authorization': `Basic ${Buffer.from(this.token).toString('base64')}` };
+        }
+        return { 'Authorization': `Bearer ${this.token}` };
+    }
+
+    getTagUrl(tag) {
+        const repositoryUrl = this.getRepositoryUrl();
+        return repositoryUrl ? `${repositoryUrl}/src/${tag}` : null;
+    }
+
+    getCompareUrl(from, to) {
+        const repositoryUrl = this.getRepositoryUrl();
+        return repositoryUrl ? `${repositoryUrl}/branches/compare/${to}%0D${from}` : null;
+    }
+
+    getCommitUrl(sha) {
+        const repositoryUrl = this.getRepositoryUrl();
+        return repositoryUrl ? `${repositoryUrl}/commits/${sha}` : null;
+    }
+
+    buildCreateRequest(release) {
+        return this.buildAssetRequest(release, {
+            name: `${release.tag}-release-notes.md`,
+            contentType: 'text/markdown',
+            content: `# ${release.name}\n\n${release.body}\n`
+        });
+    }
+
+    buildAssetRequest(published, asset) {
+        return {
+            method: 'POST',
+            url: `${this.apiBase}/repositories/${this.repository}/downloads`,
+            files: [{ field: 'files', filename: asset.name, contentType: asset.contentType, content: asset.content }]
+        };
+    }
+
+    /**
+     * Upload the notes file; Bitbucket replaces a download with the same name,
+     * so re-publishing overwrites the previous notes
+     */
+    async publish(release) {
+        await this.send(this.buildCreateRequest(release));
+        return { created: null, release: { tag: release.tag } };
+    }
+}
+
+BitbucketPublisher.displayName = 'Bitbucket';
+BitbucketPublisher.defaults = {
+    host: 'bitbucket.org',
+    apiBase: 'https://api.bitbucket.org/2.0',
+    tokenEnv: 'BITBUCKET_TOKEN'
+};
+
+module.exports = BitbucketPublisher;
@@ -0,0 +1,77 @@
+/**
+ * GitHub Publisher - GitHub.com and GitHub Enterprise Server releases
+ *
+ * Enterprise instances use `https://<host>/api/v3` as their API base.
+ */
+
+const ReleasePublisher = require('./ReleasePublisher');
+
+class GitHubPublisher extends ReleasePublisher {
+    static apiBaseFor(host) {
+        return host === 'github.com' ? 'https://api.github.com' : `https://${host}/api/v3`;
+    }
+
+    authHeaders() {
+        return {
+            'Authorization': `Bearer ${this.token}`,
+            'Accept': 'application/vnd.github+json'
+        };
+    }
+
+    buildCreateRequest(release) {
+        return {
+            method: 'POST',
+            url: `${this.apiBase}/repos/${this.repository}/releases`,
+            body: {
+                tag_name: release.tag,
+                name: release.name,
+                body: release.body,
+                draft: false,
+                prerelease: release.prerelease
+            }
+        };
+    }
+
+    buildFindRequest(tag) {
+        return { method: 'GET', url: `${this.apiBase}/repos/${this.repository}/releases/tags/${encodeURIComponent(tag)}` };
+    }
+
+    buildUpdateRequest(existing, release) {
+        return {
+            method: 'PATCH',
+            url: `${this.apiBase}/repos/${this.repository}/releases/${existing.id}`,
+            body: {
+                name: release.name,
+                body: release.body,
+                prerelease: release.prerelease
+            }
+        };
+    }
+
+    buildAssetRequest(published, asset) {
+        // upload_url is a URI template, e.g. https://uploads.github.com/.../assets{?name,label}
+        const uploadUrl = published.upload_url
+            ? published.upload_url.replace(/\{.*\}$/, '')
+            : `${this.apiBase}/repos/${this.repository}/releases/${published.id}/assets`;
+
+        return {
+            method: 'POST',
+            url: `${uploadUrl}?name=${encodeURIComponent(asset.name)}`,
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: asset.content
+        };
+    }
+
+    buildDeleteAssetRequest(published, existingAsset) {
+        return { method: 'DELETE', url: `${this.apiBase}/repos/${this.repository}/releases/assets/${existingAsset.id}` };
+    }
+}
+
+GitHubPublisher.displayName = 'GitHub';
+GitHubPublisher.defaults = {
+    host: 'github.com',
+    apiBase: 'https://api.github.com',
+    tokenEnv: 'GITHUB_TOKEN'
+};
+
+module.exports = GitHubPublisher;
@@ -0,0 +1,120 @@
+/**
+ * GitLab Publisher - GitLab.com and self-managed GitLab releases
+ *
+ * The repository is the full project path (`group/subgroup/project`).
+ * GitLab has no pre-release flag, so pre-releases are published as regular releases.
+ * Assets are uploaded to the project and attached to the release as links.
+ */
+
+const ReleasePublisher = require('./ReleasePublisher');
+
+class GitLabPublisher extends ReleasePublisher {
+    static apiBaseFor(host) {
+        return `https://${host}/api/v4`;
+    }
+
+    authHeaders() {
+        return { 'PRIVATE-TOKEN': this.token };
+    }
+
+    /**
+     * Base URL of the project's API endpoints
+     */
+    projectUrl() {
+        return `${this.apiBase}/projects/${encodeURIComponent(this.repository)}`;
+    }
+
+    getTagUrl(tag) {
+        const repositoryUrl = this.getRepositoryUrl();
+        return repositoryUrl ? `${repositoryUrl}/-/releases/${tag}` : null;
+    }
+
+    getCompareUrl(from, to) {
+        const repositoryUrl = this.getRepositoryUrl();
+        return repositoryUrl ? `${repositoryUrl}/-/compare/${from}...${to}` : null;
+    }
+
+    getCommitUrl(sha) {
+        const repositoryUrl = this.getRepositoryUrl();
+        return repositoryUrl ? `${repositoryUrl}/-/commit/${sha}` : null;
+    }
+
+    buildCreateRequest(release) {
+        return {
+            method: 'POST',
+            url: `${this.projectUrl()}/releases`,
+            body: {
+                tag_name: release.tag,
+                name: release.name,
+                description: release.body
+            }
+        };
+    }
+
+    buildFindRequest(tag) {
+        return { method: 'GET', url: `${this.projectUrl()}/releases/${encodeURIComponent(tag)}` };
+    }
+
+    buildUpdateRequest(existing, release) {
+        return {
+            method: 'PUT',
+            url: `${this.projectUrl()}/releases/${encodeURIComponent(existing.tag_name)}`,
+            body: {
+                name: release.name,
+                description: release.body
+            }
+        };
+    }
+
+    buildAssetRequest(published, asset) {
+        return {
+            method: 'POST',
+            url: `${this.projectUrl()}/uploads`,
+            files: [{ field: 'file', filename: asset.name, content: asset.content }]
+        };
+    }
+
+    buildDeleteAssetRequest(published, existingAsset) {
+        return {
+            method: 'DELETE',
+            url: `${this.projectUrl()}/releases/${encodeURIComponent(published.tag_name)}/assets/links/${existingAsset.id}`
+        };
+    }
+
+    findAsset(published, name) {
+        const links = (published && published.assets && published.assets.links) || [];
+        return links.find(link => link.name === name) || null;
+    }
+
+    /**
+     * Upload the file to the project, then link it from the release
+     */
+    async uploadAsset(published, asset) {
+        const existingAsset = this.findAsset(published, asset.name);
+        if (existingAsset) {
+            await this.send(this.buildDeleteAssetRequest(published, existingAsset));
+        }
+
+        const upload = await this.send(this.buildAssetRequest(published, asset));
+        // Newer GitLab versions return an absolute path, older ones one relative to the project
+        const webBase = this.apiBase.replace(/\/api\/v4$/, '');
+        const url = upload.full_path
+            ? `${webBase}${upload.full_path}`
+            : `${webBase}/${this.repository}${upload.url}`;
+
+        return this.send({
+            method: 'POST',
+            url: `${this.projectUrl()}/releases/${encodeURIComponent(published.tag_name)}/assets/links`,
+            body: { name: asset.name, url }
+        });
+    }
+}
+
+GitLabPublisher.displayName = 'GitLab';
+GitLabPublisher.defaults = {
+    host: 'gitlab.com',
+    apiBase: 'https://gitlab.com/api/v4',
+    tokenEnv: 'GITLAB_TOKEN'
+};
+
+module.exports = GitLabPublisher;
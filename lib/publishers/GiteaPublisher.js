@@ -0,0 +1,67 @@
+/**
+ * Gitea Publisher - Gitea and Forgejo (including Codeberg) releases
+ */
+
+const ReleasePublisher = require('./ReleasePublisher');
+
+class GiteaPublisher extends ReleasePublisher {
+    static apiBaseFor(host) {
+        return `https://${host}/api/v1`;
+    }
+
+    authHeaders() {
+        return { 'Authorization': `token ${this.token}` };
+    }
+
+    buildCreateRequest(release) {
+        return {
+            method: 'POST',
+            url: `${this.apiBase}/repos/${this.repository}/releases`,
+            body: {
+                tag_name: release.tag,
+                name: release.name,
+                body: release.body,
+                draft: false,
+                prerelease: release.prerelease
+            }
+        };
+    }
+
+    buildFindRequest(tag) {
+        return { method: 'GET', url: `${this.apiBase}/repos/${this.repository}/releases/tags/${encodeURIComponent(tag)}` };
+    }
+
+    buildUpdateRequest(existing, release) {
+        return {
+            method: 'PATCH',
+            url: `${this.apiBase}/repos/${this.repository}/releases/${existing.id}`,
+            body: {
+                name: release.name,
+                body: release.body,
+                prerelease: release.prerelease
+            }
+        };
+    }
+
+    buildAssetRequest(published, asset) {
+        return {
+            method: 'POST',
+            url: `${this.apiBase}/repos/${this.repository}/releases/${published.id}/assets?name=${encodeURIComponent(asset.name)}`,
+            files: [{ field: 'attachment', filename: asset.name, content: asset.content }]
+        };
+    }
+
+    buildDeleteAssetRequest(published, existingAsset) {
+        return {
+            method: 'DELETE',
+            url: `${this.apiBase}/repos/${this.repository}/releases/${published.id}/assets/${existingAsset.id}`
+        };
+    }
+}
+
+GiteaPublisher.displayName = 'Gitea';
+GiteaPublisher.defaults = {
+    tokenEnv: 'GITEA_TOKEN'
+};
+
+module.exports = GiteaPublisher;
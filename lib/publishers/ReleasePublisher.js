@@ -0,0 +1,230 @@
+/**
+ * Release Publisher - Base class for the hosts release notes are published to
+ *
+ * A publisher turns a release (`{ version, tag, name, body, prerelease }`)
+ * into API requests for its host. Subclasses build the create, find, update
+ * and asset requests and provide `authHeaders`; the base class runs them as
+ * an upsert. Requests go through lib/http so any `apiBase` works, including
+ * a local HTTP stub.
+ */
+
+const crypto = require('crypto');
+const { request } = require('../http');
+
+class ReleasePublisher {
+    constructor(options = {}) {
+        const defaults = this.constructor.defaults;
+
+        this.options = options;
+        this.host = options.host || defaults.host;
+        this.repository = (options.repository || '').replace(/^\/+|\/+$/g, '');
+        this.token = options.token || process.env[options.tokenEnv || defaults.tokenEnv];
+        this.apiBase = (
+            options.apiBase ||
+            (options.host && this.constructor.apiBaseFor(options.host)) ||
+            defaults.apiBase ||
+            ''
+        ).replace(/\/+$/, '');
+        this.webBase = (options.webBase || (this.host ? `https://${this.host}` : '')).replace(/\/+$/, '');
+    }
+
+    /**
+     * Get the API base URL for a self-hosted instance
+     */
+    static apiBaseFor(host) {
+        return null;
+    }
+
+    /**
+     * Whether the publisher has what it needs to make requests
+     */
+    isConfigured() {
+        return Boolean(this.token && this.repository && this.apiBase);
+    }
+
+    /**
+     * Describe the host and repository, e.g. for logs
+     */
+    describe() {
+        return `${this.constructor.displayName || this.constructor.name} (${this.repository})`;
+    }
+
+    /**
+     * Web URL of the repository (null if the host isn't known)
+     */
+    getRepositoryUrl() {
+        return this.webBase && this.repository ? `${this.webBase}/${this.repository}` : null;
+    }
+
+    /**
+     * Web URL of the release page for a tag
+     */
+    getTagUrl(tag) {
+        const repositoryUrl = this.getRepositoryUrl();
+        return repositoryUrl ? `${repositoryUrl}/releases/tag/${tag}` : null;
+    }
+
+    /**
+     * Web URL comparing two refs
+     */
+    getCompareUrl(from, to) {
+        const repositoryUrl = this.getRepositoryUrl();
+        return repositoryUrl ? `${repositoryUrl}/compare/${from}...${to}` : null;
+    }
+
+    /**
+     * Web URL of a commit
+     */
+    getCommitUrl(sha) {
+        const repositoryUrl = this.getRepositoryUrl();
+        return repositoryUrl ? `${repositoryUrl}/commit/${sha}` : null;
+    }
+
+    /**
+     * Build the request that creates a release: { method, url, body } or
+     * { method, url, files: [{ field, filename, content }] } for uploads
+     */
+    buildCreateRequest(release) {
+        throw new Error(`${this.constructor.name} does not implement buildCreateRequest()`);
+    }
+
+    /**
+     * Build the request that looks up the release for a tag (null if the host can't)
+     */
+    buildFindRequest(tag) {
+        return null;
+    }
+
+    /**
+     * Build the request that updates an existing release's name and notes
+     */
+    buildUpdateRequest(existing, release) {
+        throw new Error(`${this.constructor.name} does not implement buildUpdateRequest()`);
+    }
+
+    /**
+     * Build the request that uploads a file ({ name, content }) to a release
+     */
+    buildAssetRequest(published, asset) {
+        throw new Error(`${this.constructor.name} does not support release assets`);
+    }
+
+    /**
+     * Build the request that deletes an asset from a release (null if not supported)
+     */
+    buildDeleteAssetRequest(published, existingAsset) {
+        return null;
+    }
+
+    /**
+     * Find an asset by file name on a published release
+     */
+    findAsset(published, name) {
+        return ((published && published.assets) || []).find(asset => asset.name === name) || null;
+    }
+
+    /**
+     * Headers that authenticate requests
+     */
+    authHeaders() {
+        return {};
+    }
+
+    /**
+     * Find the release for a tag, or null if it doesn't exist
+     */
+    async findRelease(tag) {
+        const spec = this.buildFindRequest(tag);
+        return spec ? this.send(spec, { allowNotFound: true }) : null;
+    }
+
+    /**
+     * Create the release for a tag, or update its notes if it already exists.
+     * Resolves with { created, release } where release is the host's response.
+     */
+    async publish(release) {
+        const existing = await this.findRelease(release.tag);
+        if (existing) {
+            const updated = await this.send(this.buildUpdateRequest(existing, release));
+            return { created: false, release: { ...existing, ...updated } };
+        }
+        return { created: true, release: await this.send(this.buildCreateRequest(release)) };
+    }
+
+    /**
+     * Upload a file to a published release, replacing an asset with the same name
+     */
+    async uploadAsset(published, asset) {
+        const existingAsset = this.findAsset(published, asset.name);
+        if (existingAsset) {
+            const spec = this.buildDeleteAssetRequest(published, existingAsset);
+            if (spec) {
+                await this.send(spec);
+            }
+        }
+        return this.send(this.buildAssetRequest(published, asset));
+    }
+
+    /**
+     * Send a request built by this publisher
+     */
+    async send(spec, options = {}) {
+        const headers = { 'Accept': 'application/json', ...this.authHeaders(), ...spec.headers };
+        let body = spec.body;
+
+        if (spec.files) {
+            const boundary = `----changelog-${crypto.randomBytes(8).toString('hex')}`;
+            body = this.encodeMultipart(spec.files, boundary);
+            headers['Content-Type'] = `multipart/form-data; boundary=${boundary}`;
+        }
+
+        const response = await request(spec.url, { method: spec.method, headers, body });
+        if (response.status === 404 && options.allowNotFound) {
+            return null;
+        }
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(`${this.describe()} API error: ${response.status} ${response.body}`.trim());
+        }
+
+        try {
+            return response.json();
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Encode files as a multipart/form-data body
+     */
+    encodeMultipart(files, boundary) {
+        const parts = files.map(file => Buffer.concat([
+            Buffer.from(
+                `--${boundary}\r\n` +
+                `Content-Disposition: form-data; name="${file.field}"; filename="${file.filename}"\r\n` +
+                `Content-Type: ${file.contentType || 'application/octet-stream'}\r\n\r\n`
+            ),
+            Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content)),
+            Buffer.from('\r\n')
+        ]));
+        return Buffer.concat([...parts, Buffer.from(`--${boundary}--\r\n`)]);
+    }
+
+    /**
+     * Render a request for dry-run output (without credentials)
+     */
+    formatRequest(spec) {
+        const lines = [`${spec.method} ${spec.url}`];
+        if (spec.files) {
+            for (const file of spec.files) {
+                lines.push(`--- ${file.filename} ---`, String(file.content));
+            }
+        } else if (spec.body !== undefined) {
+            lines.push(JSON.stringify(spec.body, null, 2));
+        }
+        return lines.join('\n');
+    }
+}
+
+ReleasePublisher.defaults = {};
+
+module.exports = ReleasePublisher;
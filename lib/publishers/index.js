@@ -0,0 +1,105 @@
+/**
+ * Release Publisher Registry
+ *
+ * The publisher is picked from `publisher.type` in `changelog.config.json`
+ * or detected from the remote URL: github.com and hosts containing "github"
+ * (Enterprise), gitlab.com and hosts containing "gitlab", bitbucket.org, and
+ * hosts containing "gitea", "forgejo" or "codeberg". Additional publishers
+ * can be registered at runtime with `registerPublisher`.
+ */
+
+const ReleasePublisher = require('./ReleasePublisher');
+const GitHubPublisher = require('./GitHubPublisher');
+const GitLabPublisher = require('./GitLabPublisher');
+const GiteaPublisher = require('./GiteaPublisher');
+const BitbucketPublisher = require('./BitbucketPublisher');
+
+const registry = new Map([
+    ['github', GitHubPublisher],
+    ['gitlab', GitLabPublisher],
+    ['gitea', GiteaPublisher],
+    ['bitbucket', BitbucketPublisher]
+]);
+
+const HOST_PATTERNS = [
+    { type: 'bitbucket', pattern: /(^|\.)bitbucket\.org$/ },
+    { type: 'github', pattern: /github/ },
+    { type: 'gitlab', pattern: /gitlab/ },
+    { type: 'gitea', pattern: /gitea|forgejo|codeberg/ }
+];
+
+/**
+ * Register a publisher class under a name
+ */
+function registerPublisher(name, publisher) {
+    registry.set(name, publisher);
+}
+
+/**
+ * Split a git remote URL into host and repository path.
+ * Handles https://, ssh:// and scp-like (`git@host:owner/repo.git`) URLs.
+ */
+function parseRemoteUrl(url) {
+    const remote = (url || '').trim();
+    if (!remote) {
+        return null;
+    }
+
+    let host;
+    let repoPath;
+
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(remote)) {
+        try {
+            const parsed = new URL(remote);
+            host = parsed.hostname;
+            repoPath = decodeURIComponent(parsed.pathname);
+        } catch {
+            return null;
+        }
+    } else {
+        const match = remote.match(/^(?:[^@/]+@)?([^:/]+):(.+)$/);
+        if (!match) {
+            return null;
+        }
+        [, host, repoPath] = match;
+    }
+
+    const repository = repoPath.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '');
+    return repository ? { host: host.toLowerCase(), repository } : null;
+}
+
+/**
+ * Detect the publisher type, host and repository from a remote URL
+ */
+function detectPublisher(remoteUrl) {
+    const remote = parseRemoteUrl(remoteUrl);
+    if (!remote) {
+        return null;
+    }
+
+    const match = HOST_PATTERNS.find(({ pattern }) => pattern.test(remote.host));
+    return { ...remote, type: match ? match.type : null };
+}
+
+/**
+ * Create the publisher named by `type`
+ */
+function createPublisher(type, options = {}) {
+    const publisher = registry.get(type);
+    if (!publisher) {
+        throw new Error(`Unknown release publisher "${type}". Available: ${[...registry.keys()].join(', ')}`);
+    }
+    return new publisher(options);
+}
+
+module.exports = {
+    ReleasePublisher,
+    GitHubPublisher,
+    GitLabPublisher,
+    GiteaPublisher,
+    BitbucketPublisher,
+    registerPublisher,
+    parseRemoteUrl,
+    detectPublisher,
+    createPublisher
+};
@@ -0,0 +1,112 @@
+/**
+ * JSON Version File - package.json, composer.json, manifest.json, ...
+ *
+ * `key` (or the older `jsonPath`) is a dot path such as `version` or
+ * `expo.version`. The file is scanned for the value's position, so only
+ * the value itself is rewritten and indentation and key order are kept.
+ */
+
+const VersionFile = require('./VersionFile');
+
+class JsonVersionFile extends VersionFile {
+    constructor(options = {}) {
+        super({ ...options, key: options.key || options.jsonPath });
+    }
+
+    /**
+     * Locate the value at a key path
+     */
+    locate(content, keys) {
+        try {
+            JSON.parse(content);
+        } catch (error) {
+            throw new Error(`${this.path}: invalid JSON: ${error.message}`);
+        }
+
+        const match = scanJson(content, keys);
+        if (!match) {
+            return null;
+        }
+
+        const value = JSON.parse(content.slice(match.start, match.end));
+        if (typeof value !== 'string') {
+            throw new Error(`${this.path}: "${keys.join('.')}" is not a string`);
+        }
+        return { ...match, value };
+    }
+
+    /**
+     * Format a new value as a JSON string
+     */
+    format(match, value) {
+        return JSON.stringify(value);
+    }
+}
+
+/**
+ * Find the source range of the first value at a key path in valid JSON
+ */
+function scanJson(content, keys) {
+    let pos = 0;
+    let found = null;
+
+    const skipWhitespace = () => {
+        while (/\s/.test(content[pos] || '')) {
+            pos++;
+        }
+    };
+    const readString = () => {
+        const start = pos++;
+        while (content[pos] !== '"') {
+            pos += content[pos] === '\\' ? 2 : 1;
+        }
+        pos++;
+        return JSON.parse(content.slice(start, pos));
+    };
+    const readList = (close, readItem) => {
+        pos++;
+        skipWhitespace();
+        while (content[pos] !== close) {
+            readItem();
+            skipWhitespace();
+            if (content[pos] === ',') {
+                pos++;
+                skipWhitespace();
+            }
+        }
+        pos++;
+    };
+
+    // `depth` is how many keys of the path lead here, or -1 off the path
+    const readValue = depth => {
+        skipWhitespace();
+        const start = pos;
+
+        if (content[pos] === '{') {
+            readList('}', () => {
+                const key = readString();
+                skipWhitespace();
+                pos++; // colon
+                const onPath = depth !== -1 && depth < keys.length && key === keys[depth];
+                readValue(onPath ? depth + 1 : -1);
+            });
+        } else if (content[pos] === '[') {
+            readList(']', () => readValue(-1));
+        } else if (content[pos] === '"') {
+            readString();
+        } else {
+            pos += content.slice(pos).match(/^[^\s,\]}]+/)[0].length;
+        }
+
+        if (depth === keys.length && !found) {
+            found = { start, end: pos };
+        }
+    };
+
+    readValue(0);
+    return found;
+}
+
+JsonVersionFile.type = 'json';
+
+module.exports = JsonVersionFile;
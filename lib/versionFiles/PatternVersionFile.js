@@ -0,0 +1,64 @@
+/**
+ * Pattern Version File - Any other file, edited with a regular expression
+ *
+ * Every match of `pattern` is replaced with `replacement` (`{{version}}` is
+ * the new version; `$1` and friends work as in String.replace). Without a
+ * replacement, the first capture group of each match is replaced.
+ */
+
+const VersionFile = require('./VersionFile');
+
+class PatternVersionFile extends VersionFile {
+    /**
+     * Build the regular expression, failing on invalid patterns
+     */
+    getPattern() {
+        try {
+            return new RegExp(this.options.pattern, 'g');
+        } catch (error) {
+            throw new Error(`${this.path}: invalid pattern: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the matches of the pattern, throwing when there are none
+     */
+    getMatches(content) {
+        const matches = [...content.matchAll(this.getPattern())];
+        if (matches.length === 0) {
+            throw new Error(`${this.path}: pattern ${this.options.pattern} did not match`);
+        }
+        return matches;
+    }
+
+    /**
+     * Read the version: the first capture group (or the whole match) of the first match
+     */
+    read(content) {
+        const [match] = this.getMatches(content);
+        return match[1] !== undefined ? match[1] : match[0];
+    }
+
+    /**
+     * Replace every match of the pattern
+     */
+    update(content, version) {
+        this.getMatches(content);
+
+        if (this.options.replacement !== undefined) {
+            return content.replace(this.getPattern(), this.options.replacement.split('{{version}}').join(version));
+        }
+
+        return content.replace(this.getPattern(), (match, ...groups) => {
+            if (typeof groups[0] !== 'string') {
+                return version;
+            }
+            const offset = match.indexOf(groups[0]);
+            return match.slice(0, offset) + version + match.slice(offset + groups[0].length);
+        });
+    }
+}
+
+PatternVersionFile.type = 'pattern';
+
+module.exports = PatternVersionFile;
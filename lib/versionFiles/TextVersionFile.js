@@ -0,0 +1,33 @@
+/**
+ * Text Version File - A file that holds nothing but the version (VERSION)
+ *
+ * Surrounding whitespace, such as the trailing newline, is kept.
+ */
+
+const VersionFile = require('./VersionFile');
+
+class TextVersionFile extends VersionFile {
+    /**
+     * A text file has no keys
+     */
+    getKeyPaths() {
+        return [[]];
+    }
+
+    /**
+     * Locate the version, which must be the only thing in the file
+     */
+    locate(content) {
+        const value = content.trim();
+        if (!value || /\s/.test(value)) {
+            throw new Error(`${this.path}: expected the file to contain only a version; use "pattern" for anything else`);
+        }
+
+        const start = content.indexOf(value);
+        return { start, end: start + value.length, value };
+    }
+}
+
+TextVersionFile.type = 'text';
+
+module.exports = TextVersionFile;
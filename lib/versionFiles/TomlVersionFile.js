@@ -0,0 +1,103 @@
+/**
+ * TOML Version File - Cargo.toml, pyproject.toml, ...
+ *
+ * `key` is the full dotted key, table included (`package.version`). Without
+ * one, Cargo.toml uses `package.version` (or `workspace.package.version`) and
+ * pyproject.toml uses `project.version` (or Poetry's `tool.poetry.version`).
+ * The file is read line by line, so only `key = "value"` lines in a table
+ * are matched; inline tables such as dependency specs are never touched.
+ */
+
+const path = require('path');
+const VersionFile = require('./VersionFile');
+
+const KEY = '(?:[A-Za-z0-9_-]+|"[^"]*"|\'[^\']*\')';
+const ASSIGNMENT_PATTERN = new RegExp(`^(\\s*)(${KEY}(?:\\s*\\.\\s*${KEY})*)(\\s*=\\s*)("(?:[^"\\\\]|\\\\.)*"|'[^']*')`);
+const TABLE_PATTERN = new RegExp(`^\\s*\\[\\s*(${KEY}(?:\\s*\\.\\s*${KEY})*)\\s*\\]\\s*(?:#.*)?$`);
+
+class TomlVersionFile extends VersionFile {
+    /**
+     * Default key paths for Cargo and Python projects
+     */
+    static defaultKeys(filePath) {
+        switch (path.basename(filePath)) {
+            case 'Cargo.toml':
+                return [['package', 'version'], ['workspace', 'package', 'version']];
+            case 'pyproject.toml':
+                return [['project', 'version'], ['tool', 'poetry', 'version']];
+            default:
+                return [['version']];
+        }
+    }
+
+    /**
+     * Locate the string value at a key path
+     */
+    locate(content, keys) {
+        const target = keys.join('.');
+        let table = '';
+        let multiline = null;
+        let offset = 0;
+
+        for (const line of content.split('\n')) {
+            const lineStart = offset;
+            offset += line.length + 1;
+
+            // Skip the inside of multi-line strings
+            if (multiline) {
+                if (line.includes(multiline)) {
+                    multiline = null;
+                }
+                continue;
+            }
+            const opening = line.match(/=\s*("""|''')/);
+            if (opening && !line.slice(line.indexOf(opening[1]) + 3).includes(opening[1])) {
+                multiline = opening[1];
+                continue;
+            }
+
+            const header = line.match(TABLE_PATTERN);
+            if (header) {
+                table = normalizeKey(header[1]);
+                continue;
+            }
+            if (/^\s*\[\[/.test(line)) {
+                // Keys inside an array of tables are never the version
+                table = null;
+                continue;
+            }
+
+            const assignment = line.match(ASSIGNMENT_PATTERN);
+            if (!assignment || table === null) {
+                continue;
+            }
+
+            const key = [table, normalizeKey(assignment[2])].filter(Boolean).join('.');
+            if (key === target) {
+                const [, indent, name, equals, value] = assignment;
+                const start = lineStart + indent.length + name.length + equals.length;
+                return { start, end: start + value.length, value: value.slice(1, -1), quote: value[0] };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Format a new value with the quotes of the old one
+     */
+    format(match, value) {
+        return `${match.quote}${value}${match.quote}`;
+    }
+}
+
+/**
+ * Normalize a dotted TOML key: no spaces around dots, no quotes
+ */
+function normalizeKey(key) {
+    return key.split('.').map(part => part.trim().replace(/^(["'])(.*)\1$/, '$2')).join('.');
+}
+
+TomlVersionFile.type = 'toml';
+
+module.exports = TomlVersionFile;
@@ -0,0 +1,91 @@
+/**
+ * Version File - Base class for the files a release writes its version to
+ *
+ * An adapter locates the version inside one file format and replaces just
+ * that value, so formatting, comments and key order survive. Subclasses
+ * implement `locate(content, keys)`, returning { start, end, value } for the
+ * value at a key path (or null), and may override `format` to quote it.
+ * A key that isn't in the file is an error: a typo in the config must stop
+ * the release rather than silently leave a file behind.
+ */
+
+class VersionFile {
+    constructor(options = {}) {
+        this.options = options;
+        this.path = options.path;
+        this.key = options.key || null;
+    }
+
+    /**
+     * Key paths to try, in order: the configured key, or the defaults for the file
+     */
+    getKeyPaths() {
+        if (Array.isArray(this.key)) {
+            return [this.key];
+        }
+        if (this.key) {
+            return [this.key.split('.')];
+        }
+        return this.constructor.defaultKeys(this.path);
+    }
+
+    /**
+     * Default key paths for a file that has no `key` configured
+     */
+    static defaultKeys(filePath) {
+        return [['version']];
+    }
+
+    /**
+     * Find the version value, throwing when none of the key paths match
+     */
+    find(content) {
+        const keyPaths = this.getKeyPaths();
+        if (keyPaths.length === 0) {
+            throw new Error(`${this.path}: set "key" to the location of the version`);
+        }
+
+        for (const keys of keyPaths) {
+            const match = this.locate(content, keys);
+            if (match) {
+                return match;
+            }
+        }
+
+        const tried = keyPaths.map(keys => `"${keys.join('.')}"`).join(', ');
+        throw new Error(`${this.path}: no version found at ${tried}`);
+    }
+
+    /**
+     * Locate the value at a key path: { start, end, value } or null
+     */
+    locate(content, keys) {
+        throw new Error(`${this.constructor.name} does not implement locate()`);
+    }
+
+    /**
+     * Format a new value to replace a located one (e.g. keeping its quotes)
+     */
+    format(match, value) {
+        return value;
+    }
+
+    /**
+     * Read the version from the file content
+     */
+    read(content) {
+        return this.find(content).value;
+    }
+
+    /**
+     * Return the file content with the version replaced
+     */
+    update(content, version) {
+        const match = this.find(content);
+        return content.slice(0, match.start) + this.format(match, version) + content.slice(match.end);
+    }
+}
+
+VersionFile.type = null;
+
+module.exports = VersionFile;
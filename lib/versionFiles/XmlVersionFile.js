@@ -0,0 +1,79 @@
+/**
+ * XML Version File - Maven pom.xml, .NET project files, ...
+ *
+ * `key` is the dot path of element names from the root (namespace prefixes
+ * are ignored). pom.xml defaults to `project.version`, so the `<version>` of
+ * `<parent>` and of dependencies is left alone; .csproj/.fsproj/.vbproj and
+ * .props files default to `Project.PropertyGroup.Version` (or
+ * `VersionPrefix`). Only the text inside the element is rewritten.
+ */
+
+const path = require('path');
+const VersionFile = require('./VersionFile');
+
+// Comments, CDATA, declarations and processing instructions, or a tag
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([A-Za-z_][\w.:-]*)((?:"[^"]*"|'[^']*'|[^'">])*?)(\/?)>/g;
+
+class XmlVersionFile extends VersionFile {
+    /**
+     * Default key paths for Maven and .NET projects
+     */
+    static defaultKeys(filePath) {
+        if (path.basename(filePath) === 'pom.xml') {
+            return [['project', 'version']];
+        }
+        if (/\.(csproj|fsproj|vbproj|props)$/.test(filePath)) {
+            return [['Project', 'PropertyGroup', 'Version'], ['Project', 'PropertyGroup', 'VersionPrefix']];
+        }
+        return [];
+    }
+
+    /**
+     * Locate the text of the first element at a key path
+     */
+    locate(content, keys) {
+        const stack = [];
+        const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+        let token;
+
+        while ((token = pattern.exec(content)) !== null) {
+            const [, closing, name, , selfClosing] = token;
+            if (!name) {
+                continue;
+            }
+            if (closing) {
+                stack.pop();
+                continue;
+            }
+            if (selfClosing) {
+                continue;
+            }
+
+            stack.push(name.replace(/^.*:/, ''));
+            if (stack.length !== keys.length || !stack.every((element, i) => element === keys[i])) {
+                continue;
+            }
+
+            const textStart = pattern.lastIndex;
+            const textEnd = content.indexOf('<', textStart);
+            if (textEnd === -1 || !content.startsWith('</', textEnd)) {
+                throw new Error(`${this.path}: <${keys.join('.')}> does not hold a plain value`);
+            }
+
+            const text = content.slice(textStart, textEnd);
+            const value = text.trim();
+            if (value.startsWith('${')) {
+                throw new Error(`${this.path}: <${keys.join('.')}> is set from the property ${value}; point "key" at that property instead`);
+            }
+
+            const start = textStart + text.indexOf(value);
+            return { start, end: start + value.length, value };
+        }
+
+        return null;
+    }
+}
+
+XmlVersionFile.type = 'xml';
+
+module.exports = XmlVersionFile;
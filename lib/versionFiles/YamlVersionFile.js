@@ -0,0 +1,53 @@
+/**
+ * YAML Version File - Helm Chart.yaml, pubspec.yaml, ...
+ *
+ * `key` is a dot path (default: `version`; set `appVersion` in a second
+ * entry to bump a chart's app version too). The document is parsed only to
+ * find the value's position, and the value is replaced in the source text
+ * with its original quoting, so comments and layout stay as they were.
+ */
+
+const YAML = require('yaml');
+const VersionFile = require('./VersionFile');
+
+class YamlVersionFile extends VersionFile {
+    /**
+     * Locate the scalar value at a key path
+     */
+    locate(content, keys) {
+        const doc = YAML.parseDocument(content);
+        if (doc.errors.length > 0) {
+            throw new Error(`${this.path}: invalid YAML: ${doc.errors[0].message.split('\n')[0]}`);
+        }
+
+        const node = doc.getIn(keys, true);
+        if (node === undefined || node === null) {
+            return null;
+        }
+        if (!YAML.isScalar(node)) {
+            throw new Error(`${this.path}: "${keys.join('.')}" is not a single value`);
+        }
+
+        const [start, end] = node.range;
+        // A plain 1.10 must read as written, not as the number 1.1
+        const value = node.type === YAML.Scalar.PLAIN ? content.slice(start, end) : String(node.value);
+        return { start, end, value, type: node.type };
+    }
+
+    /**
+     * Format a new value with the quoting style of the old one
+     */
+    format(match, value) {
+        if (match.type === YAML.Scalar.QUOTE_DOUBLE) {
+            return JSON.stringify(value);
+        }
+        if (match.type === YAML.Scalar.QUOTE_SINGLE) {
+            return `'${value}'`;
+        }
+        return value;
+    }
+}
+
+YamlVersionFile.type = 'yaml';
+
+module.exports = YamlVersionFile;
@@ -0,0 +1,87 @@
+/**
+ * Version File Registry
+ *
+ * Each `versionFiles` entry in `changelog.config.json` is edited by the
+ * adapter named in `type`. Without a type, `pattern` and `jsonPath` entries
+ * keep their old meaning and anything else is picked by file name. More
+ * adapters can be registered at runtime with `registerVersionFile`.
+ */
+
+const path = require('path');
+const VersionFile = require('./VersionFile');
+const JsonVersionFile = require('./JsonVersionFile');
+const TomlVersionFile = require('./TomlVersionFile');
+const YamlVersionFile = require('./YamlVersionFile');
+const XmlVersionFile = require('./XmlVersionFile');
+const TextVersionFile = require('./TextVersionFile');
+const PatternVersionFile = require('./PatternVersionFile');
+
+const registry = new Map([
+    ['json', JsonVersionFile],
+    ['toml', TomlVersionFile],
+    ['yaml', YamlVersionFile],
+    ['xml', XmlVersionFile],
+    ['text', TextVersionFile],
+    ['pattern', PatternVersionFile]
+]);
+
+const FILE_PATTERNS = [
+    { type: 'json', pattern: /\.json$/i },
+    { type: 'toml', pattern: /\.toml$/i },
+    { type: 'yaml', pattern: /\.ya?ml$/i },
+    { type: 'xml', pattern: /\.(xml|csproj|fsproj|vbproj|props|targets)$/i }
+];
+
+/**
+ * Register a version file adapter class under a type name
+ */
+function registerVersionFile(type, adapter) {
+    registry.set(type, adapter);
+}
+
+/**
+ * Work out the adapter type of a `versionFiles` entry
+ */
+function detectVersionFileType(fileConfig) {
+    if (fileConfig.type) {
+        return fileConfig.type;
+    }
+    if (fileConfig.pattern) {
+        return 'pattern';
+    }
+    if (fileConfig.jsonPath) {
+        return 'json';
+    }
+
+    const match = FILE_PATTERNS.find(({ pattern }) => pattern.test(path.basename(fileConfig.path)));
+    return match ? match.type : 'text';
+}
+
+/**
+ * Create the adapter for a `versionFiles` entry
+ */
+function createVersionFile(fileConfig) {
+    if (!fileConfig || !fileConfig.path) {
+        throw new Error('Every versionFiles entry needs a "path"');
+    }
+
+    const type = detectVersionFileType(fileConfig);
+    const adapter = registry.get(type);
+    if (!adapter) {
+        throw new Error(`Unknown version file type "${type}" for ${fileConfig.path}. Available: ${[...registry.keys()].join(', ')}`);
+    }
+    return new adapter(fileConfig);
+}
+
+module.exports = {
+    VersionFile,
+    JsonVersionFile,
+    TomlVersionFile,
+    YamlVersionFile,
+    XmlVersionFile,
+    TextVersionFile,
+    PatternVersionFile,
+    registerVersionFile,
+    detectVersionFileType,
+    createVersionFile
+};
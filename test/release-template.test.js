@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { ReleaseManager } = require('../lib');
+
+const DRAFT = `---
+version: 1.1.0
+date: 2026-01-01
+tag:
+---
+
+# Release 1.1.0
+
+## **Unreleased**
+
+<!-- New entries will be added here -->
+
+### Features
+- Added widgets <!-- hash:aaaa1111 -->
+  - nested detail
+
+#### Widget API
+
+\`\`\`js
+widget.create();
+\`\`\`
+
+- Added gadgets <!-- hash:cccc3333 commit:abc1234 -->
+
+### Bug Fixes
+- Fixed a crash <!-- hash:bbbb2222 -->
+`;
+
+const TEMPLATE = `# {{version}}
+{{#each sections}}
+
+## {{title}}
+{{#each entries}}
+* {{text}} {{marker}}
+{{#if details}}
+{{details}}
+{{/if}}
+{{/each}}
+{{/each}}
+`;
+
+/**
+ * Create a git repository holding a draft and a custom release template
+ */
+function createProject() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-release-template-'));
+    fs.mkdirSync(path.join(root, 'changelog', 'releases'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'demo', version: '1.0.0' }));
+    fs.writeFileSync(path.join(root, 'changelog', 'releases', 'draft.md'), DRAFT);
+    fs.writeFileSync(path.join(root, 'release.md'), TEMPLATE);
+
+    const git = args => execSync(`git ${args}`, { cwd: root, stdio: 'pipe' });
+    git('init -q');
+    git('-c user.name=Dev -c user.email=dev@example.com commit -q --allow-empty -m init');
+    return root;
+}
+
+test('a custom release template looping over sections renders every entry once', async () => {
+    const root = createProject();
+    try {
+        const manager = new ReleaseManager({ projectRoot: root, templates: { release: 'release.md' } });
+        await manager.renameDraftFile('1.1.0');
+
+        const content = fs.readFileSync(path.join(root, 'changelog', 'releases', '1.1.0.md'), 'utf8');
+        const body = content.slice(content.indexOf('# 1.1.0'));
+
+        assert.strictEqual(body, `# 1.1.0
+
+## Features
+* Added widgets <!-- hash:aaaa1111 -->
+  - nested detail
+
+#### Widget API
+
+\`\`\`js
+widget.create();
+\`\`\`
+
+* Added gadgets <!-- hash:cccc3333 commit:abc1234 -->
+
+## Bug Fixes
+* Fixed a crash <!-- hash:bbbb2222 -->
+`);
+        assert.ok(!fs.existsSync(path.join(root, 'changelog', 'releases', 'draft.md')));
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});